@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Generates public/dictionaries/he.txt, the Hebrew word list of the dictionary scan, from the Hspell word list in
+// the dictionary-he package. That package reads its files with node:fs, so the browser cannot load it directly;
+// the app fetches the generated file the first time a Hebrew scan runs.
+//
+//   npm run build:dictionary
+//
+// npm start and npm run build run it first, so the file is never committed. The Hspell list is under the AGPL;
+// its license is copied next to the word list, which is served as a separate file and not bundled into the app.
+//
+// The Hunspell .dic file already lists every inflected form (plural, possessive and verb forms); only the
+// prefix letters (ו, ה, ב, כ, ל, מ, ש and their combinations) come from affix rules, and those are left out so
+// that the scan reports words rather than every prefixed form. Abbreviations and foreign words written with
+// geresh or gershayim cannot appear on a board and are dropped, as are words shorter than the scan reports.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dictionary from 'dictionary-he';
+import { MIN_DICTIONARY_WORD_LENGTH } from '../src/puzzleCore.js';
+
+const outputDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'dictionaries');
+const outputPath = path.join(outputDir, 'he.txt');
+const licensePath = path.join(outputDir, 'he.LICENSE.txt');
+
+const lines = new TextDecoder('utf-8').decode(dictionary.dic).split('\n').slice(1); // The first line is the word count.
+const words = [...new Set(lines
+    .map(line => line.split('/')[0].trim())
+    .filter(word => /^[א-ת]+$/.test(word) && word.length >= MIN_DICTIONARY_WORD_LENGTH))]
+    .sort();
+
+const packageDir = path.dirname(fileURLToPath(import.meta.resolve('dictionary-he')));
+fs.mkdirSync(outputDir, { recursive: true });
+fs.writeFileSync(outputPath, `${words.join('\n')}\n`);
+fs.writeFileSync(licensePath, `public/dictionaries/he.txt is generated by scripts/build-hebrew-dictionary.mjs from the Hspell
+word list in the dictionary-he package (http://hspell.ivrix.org.il/). Its license follows.
+
+${fs.readFileSync(path.join(packageDir, 'license'), 'utf-8')}`);
+console.log(`Wrote ${words.length} words to ${path.relative(process.cwd(), outputPath)}.`);
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// Command-line tool for checking and converting puzzle files without opening the editor, built on the same
+// puzzle core (src/puzzleCore.js) the editor uses.
+//
+//   npm run strands -- validate <file or directory>... [--strict]
+//   npm run strands -- convert <input> <output> [--to csv|json|link]
+//
+// Exit codes: 0 when everything passed, 1 when a file is invalid or could not be converted, 2 for bad usage.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+    evaluateReadiness,
+    findCrossings,
+    parseLayoutCsv,
+    parseProjectJson,
+    buildLayoutCsv,
+    serializeProject,
+    encodeShareLink,
+    decodeShareLink,
+} from '../src/puzzleCore.js';
+
+const USAGE = `Usage:
+  strands validate <file or directory>... [--strict]
+      Checks strands_layout.csv and .strands.json files: every cell covered, consecutive letters
+      next to each other, no missing letters in a word, and letter totals that fill the board.
+      With --strict, the rest of the publish checklist (theme and hint, word rules, spangram) must pass too.
+  strands convert <input> <output> [--to csv|json|link]
+      Converts between strands_layout.csv, .strands.json project files and share link codes.
+      The output format comes from --to or the output's extension (.csv, .json, .txt for a link code).
+      Use - as the output to write to standard output.`;
+
+// Publish checklist items (see evaluateReadiness) that make a layout unusable; the others only fail with --strict.
+const STRUCTURAL_CHECKS = new Set(['letters', 'coverage', 'placement']);
+
+// Layout file extensions picked up when validating a directory.
+const LAYOUT_EXTENSIONS = ['.csv', '.json'];
+
+// Exit codes.
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+// Helper function to resolve a path given on the command line. npm runs scripts from the package directory,
+// so relative paths are taken from where npm was started (INIT_CWD) when there is one.
+const resolvePath = (target) => path.resolve(process.env.INIT_CWD || process.cwd(), target);
+
+// Helper function to tell which format a file holds: 'json' (project file), 'link' (share link code or URL)
+// or 'csv', from its name and, failing that, its contents.
+const detectFormat = (fileName, content) => {
+    const text = content.replace(/^\uFEFF/, '').trim();
+    if (/\.json$/i.test(fileName) || text.startsWith('{')) return 'json';
+    if (/^v\d+\.[A-Za-z0-9_-]*\.[0-9a-z]+$/.test(text) || /#(edit|review)=/.test(text)) return 'link';
+    return 'csv';
+};
+
+// Helper function to read a layout file in any supported format into a puzzle.
+// Returns { puzzle, metadata, errors } where puzzle is { themeText, hintText, letterRule, enteredWords, gridCells }.
+const readLayout = (fileName, content) => {
+    const format = detectFormat(fileName, content);
+    let layout;
+    if (format === 'json') {
+        layout = parseProjectJson(content);
+    } else if (format === 'link') {
+        const code = content.trim().replace(/^.*#(edit|review)=/, '');
+        layout = decodeShareLink(code);
+    } else {
+        layout = parseLayoutCsv(content);
+    }
+    return {
+        puzzle: {
+            themeText: layout.themeText,
+            hintText: layout.hintText,
+            letterRule: layout.letterRule || 'none', // CSV files hold the board letters already.
+            enteredWords: layout.words,
+            gridCells: layout.gridCells,
+        },
+        metadata: layout.metadata || {},
+        errors: layout.errors,
+    };
+};
+
+// Helper function to list the layout files named on the command line, expanding directories (not recursively).
+const collectFiles = (targets) => targets.flatMap(target => {
+    if (!fs.existsSync(resolvePath(target))) {
+        throw new Error(`No such file or directory: ${target}`);
+    }
+    if (!fs.statSync(resolvePath(target)).isDirectory()) return [target];
+    return fs.readdirSync(resolvePath(target))
+        .filter(name => LAYOUT_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .map(name => path.join(target, name));
+});
+
+// Helper function to validate one file. Returns { status, problems, warnings } where status is
+// 'passed', 'failed' or 'skipped' (a bundle manifest, which holds no puzzle).
+const validateFile = (file, isStrict) => {
+    const content = fs.readFileSync(resolvePath(file), 'utf-8');
+    if (detectFormat(file, content) === 'json') {
+        try {
+            if (JSON.parse(content.replace(/^\uFEFF/, '')).format === 'strands-creator-bundle') {
+                return { status: 'skipped', problems: [], warnings: ['Bundle manifest, not a puzzle.'] };
+            }
+        } catch (error) {
+            // Not valid JSON; parseProjectJson reports it below.
+        }
+    }
+
+    const { puzzle, errors } = readLayout(file, content);
+    if (errors.length > 0) {
+        return { status: 'failed', problems: errors, warnings: [] };
+    }
+
+    const problems = [];
+    const warnings = [];
+    evaluateReadiness(puzzle).filter(item => !item.passed).forEach(item => {
+        const messages = item.details.length > 0 ? item.details.map(detail => `${item.label}: ${detail}`) : [item.label];
+        (STRUCTURAL_CHECKS.has(item.id) || isStrict ? problems : warnings).push(...messages);
+    });
+    const crossings = findCrossings(puzzle.gridCells);
+    if (crossings.length > 0) {
+        problems.push(`${crossings.length} pair(s) of paths cross each other diagonally.`);
+    }
+    return { status: problems.length > 0 ? 'failed' : 'passed', problems, warnings };
+};
+
+// The "validate" command.
+const runValidate = (args) => {
+    const isStrict = args.includes('--strict');
+    const targets = args.filter(arg => arg !== '--strict');
+    if (targets.length === 0) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    let files;
+    try {
+        files = collectFiles(targets);
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_USAGE;
+    }
+    if (files.length === 0) {
+        console.error('No .csv or .json layout files found.');
+        return EXIT_INVALID;
+    }
+
+    let failedCount = 0;
+    files.forEach(file => {
+        let result;
+        try {
+            result = validateFile(file, isStrict);
+        } catch (error) {
+            result = { status: 'failed', problems: [`Could not read the file: ${error.message}`], warnings: [] };
+        }
+        if (result.status === 'failed') failedCount++;
+        console.log(`${{ passed: 'PASS', failed: 'FAIL', skipped: 'SKIP' }[result.status]}  ${file}`);
+        result.problems.forEach(problem => console.log(`      error: ${problem}`));
+        result.warnings.forEach(warning => console.log(`      warning: ${warning}`));
+    });
+
+    console.log(`\n${files.length} file(s) checked, ${failedCount} failed.`);
+    return failedCount > 0 ? EXIT_INVALID : EXIT_OK;
+};
+
+// The "convert" command.
+const runConvert = (args) => {
+    let requestedFormat = null;
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--to') {
+            requestedFormat = args[++i] || '';
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    const [input, output] = positional;
+    if (!input || !output) {
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+    const extensionFormats = { '.csv': 'csv', '.json': 'json', '.txt': 'link' };
+    const format = requestedFormat !== null ? requestedFormat : extensionFormats[path.extname(output).toLowerCase()];
+    if (!['csv', 'json', 'link'].includes(format)) {
+        console.error(requestedFormat !== null
+            ? `Unknown format "${requestedFormat}"; use csv, json or link.`
+            : `Cannot tell the output format from "${output}"; add --to csv, json or link.`);
+        return EXIT_USAGE;
+    }
+
+    let content;
+    try {
+        content = fs.readFileSync(resolvePath(input), 'utf-8');
+    } catch (error) {
+        console.error(`Could not read ${input}: ${error.message}`);
+        return EXIT_INVALID;
+    }
+    const { puzzle, metadata, errors } = readLayout(input, content);
+    if (errors.length > 0) {
+        console.error(`${input} is not a valid layout:`);
+        errors.forEach(error => console.error(`  ${error}`));
+        return EXIT_INVALID;
+    }
+
+    let result;
+    if (format === 'csv') {
+        result = buildLayoutCsv(puzzle);
+    } else if (format === 'json') {
+        result = serializeProject({ ...puzzle, ...metadata });
+    } else {
+        result = `${encodeShareLink(puzzle)}\n`;
+    }
+
+    if (output === '-') {
+        process.stdout.write(result);
+    } else {
+        try {
+            fs.writeFileSync(resolvePath(output), result, 'utf-8');
+        } catch (error) {
+            console.error(`Could not write ${output}: ${error.message}`);
+            return EXIT_INVALID;
+        }
+        console.log(`Wrote ${output} (${format}).`);
+    }
+    return EXIT_OK;
+};
+
+const [command, ...args] = process.argv.slice(2);
+const commands = { validate: runValidate, convert: runConvert };
+if (command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    process.exitCode = EXIT_OK;
+} else if (!commands[command]) {
+    console.error(USAGE);
+    process.exitCode = EXIT_USAGE;
+} else {
+    process.exitCode = commands[command](args);
+}
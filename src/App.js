@@ -1,42 +1,844 @@
 import React, { useState, useEffect, useRef } from 'react';
+import {
+    WORD_COLORS,
+    DEFAULT_ROWS,
+    DEFAULT_COLS,
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    createEmptyGrid,
+    LETTER_RULES,
+    splitLetters,
+    getBoardLetters,
+    parseWordList,
+    NEIGHBOR_OFFSETS,
+    isNeighbor,
+    getPathEdges,
+    placeLetters,
+    findCrossings,
+    getPathSlots,
+    findPathGaps,
+    checkPathCell,
+    checkPlacement,
+    validateSpangram,
+    evaluateReadiness,
+    evaluateDifficulty,
+    generateLayouts,
+    analyzeAmbiguity,
+    MAX_WORD_ROUTES,
+    MIN_DICTIONARY_WORD_LENGTH,
+    scanBoardForWords,
+    PUZZLE_STATUSES,
+    isPuzzleStatus,
+    getStatusLabel,
+    getDraftTitle,
+    addDays,
+    findCollectionRepeats,
+    buildPuzzleBundle,
+    buildLayoutCsv,
+    parseLayoutCsv,
+    serializeProject,
+    parseProjectJson,
+    encodeShareLink,
+    decodeShareLink,
+} from './puzzleCore';
 
-// Predefined array of distinct colors for words to cycle through.
-const WORD_COLORS = [
-    '#EF4444', // Red 500
-    '#3B82F6', // Blue 500
-    '#10B981', // Green 500
-    '#F59E0B', // Amber 500
-    '#8B5CF6', // Violet 500
-    '#EC4899', // Pink 500
-    '#06B6D4', // Cyan 500
-    '#6B7280', // Gray 500
-    '#A855F7', // Purple 500
-    '#EAB308', // Yellow 500
-    '#F43F5E', // Rose 500
-    '#22C55E', // Emerald 500
+// Palettes the author can choose word colors from. 'colorblind' is the Okabe-Ito palette, whose colors stay
+// apart for the common kinds of color blindness; 'pastel' is light enough that cells get dark text.
+const WORD_PALETTES = [
+    { id: 'classic', name: 'Classic', colors: WORD_COLORS },
+    { id: 'colorblind', name: 'Color-blind safe', colors: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'] },
+    { id: 'pastel', name: 'Pastel', colors: ['#FCA5A5', '#93C5FD', '#86EFAC', '#FCD34D', '#C4B5FD', '#F9A8D4', '#67E8F9', '#D1D5DB', '#FDBA74', '#BEF264'] },
 ];
 
-// Helper function to check if two cell coordinates are neighbors (including diagonals).
-const isNeighbor = (coords1, coords2) => {
-    if (!coords1 || !coords2) return false; // Safety check
-    const [r1, c1] = coords1;
-    const [r2, c2] = coords2;
+// Helper function to read a setting from localStorage. Returns null when it is not set or storage is disabled.
+const safeGetItem = (key) => {
+    try {
+        return window.localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Helper function to keep a setting in localStorage. Settings are a convenience, so when storage is disabled
+// or full the app goes on with the value in memory.
+const safeSetItem = (key, value) => {
+    try {
+        window.localStorage.setItem(key, value);
+    } catch (error) {
+        // Nothing to do: the setting lasts until the page is closed.
+    }
+};
+
+// Key under which the chosen palette is kept in the browser's localStorage.
+const WORD_PALETTE_STORAGE_KEY = 'strandsCreator.wordPalette';
+
+// Colors two touching words should be at least this far apart in (CIE76 difference in Lab space, where
+// about 2 is just noticeable and the Tailwind red and rose 500 are about 12 apart).
+const SIMILAR_COLOR_DIFFERENCE = 25;
+
+// Text colors for letters on colored cells; getTextColor picks whichever contrasts more with the cell.
+const LIGHT_TEXT_COLOR = '#FFFFFF';
+const DARK_TEXT_COLOR = '#111827';
+
+// Helper function to get the red, green and blue channels (0-255) of a "#rrggbb" color.
+const parseHexColor = (hex) => {
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+    const value = match ? parseInt(match[1], 16) : 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Helper function to turn an sRGB channel (0-255) into linear light (0-1).
+const toLinearChannel = (channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+// Helper function to compute the WCAG contrast ratio of two colors, from 1 (same) to 21 (black on white).
+const getContrastRatio = (color1, color2) => {
+    const luminance = (hex) => {
+        const [r, g, b] = parseHexColor(hex).map(toLinearChannel);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [lighter, darker] = [luminance(color1), luminance(color2)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Helper function to choose the text color for letters on a cell of the given color.
+const getTextColor = (backgroundColor) => (
+    getContrastRatio(backgroundColor, LIGHT_TEXT_COLOR) >= getContrastRatio(backgroundColor, DARK_TEXT_COLOR)
+        ? LIGHT_TEXT_COLOR
+        : DARK_TEXT_COLOR
+);
+
+// Helper function to measure how different two colors look (CIE76: distance in Lab space, D65 white point).
+const getColorDifference = (color1, color2) => {
+    const toLab = (hex) => {
+        const [r, g, b] = parseHexColor(hex).map(toLinearChannel);
+        const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+        const x = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+        const y = f(0.2126 * r + 0.7152 * g + 0.0722 * b);
+        const z = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+        return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+    };
+    const [l1, a1, b1] = toLab(color1);
+    const [l2, a2, b2] = toLab(color2);
+    return Math.hypot(l1 - l2, a1 - a2, b1 - b2);
+};
+
+// Key under which the export check setting ('warn' or 'block') is kept in localStorage.
+const EXPORT_CHECK_STORAGE_KEY = 'strandsCreator.exportCheck';
+
+// Helper function to find, for every placed word, the words whose paths touch it (a letter of one is next to
+// a letter of the other, diagonals included). Returns a Map from word id to a Set of word ids.
+const findTouchingWords = (gridCells) => {
+    const touching = new Map();
+    const link = (wordId, otherId) => {
+        if (!touching.has(wordId)) touching.set(wordId, new Set());
+        touching.get(wordId).add(otherId);
+    };
+    gridCells.forEach((row, r) => row.forEach((cell, c) => {
+        if (!cell) return;
+        NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+            const other = gridCells[r + dr] && gridCells[r + dr][c + dc];
+            if (other && other.wordId !== cell.wordId) link(cell.wordId, other.wordId);
+        });
+    }));
+    return touching;
+};
+
+// Helper function to choose a palette color for a word. Colors far enough from every word it touches come
+// first, then the colors used by the fewest other words (so colors only repeat once the palette runs out),
+// then palette order. Words without a color yet (color null) are ignored.
+const chooseWordColor = (paletteColors, words, wordId, touchingIds = new Set()) => {
+    const otherWords = words.filter(word => word.id !== wordId && word.color);
+    const neighborColors = otherWords.filter(word => touchingIds.has(word.id)).map(word => word.color);
+    const rank = (color) => {
+        const closest = Math.min(...neighborColors.map(neighborColor => getColorDifference(color, neighborColor)));
+        return {
+            color,
+            isDistinct: closest >= SIMILAR_COLOR_DIFFERENCE,
+            closest,
+            uses: otherWords.filter(word => word.color.toUpperCase() === color.toUpperCase()).length,
+        };
+    };
+    const [best] = paletteColors.map(rank).sort((a, b) => (
+        (b.isDistinct - a.isDistinct) ||
+        (a.isDistinct ? a.uses - b.uses : b.closest - a.closest) ||
+        (a.uses - b.uses)
+    ));
+    return best.color;
+};
+
+// Helper function to give new colors to words whose path touches a word of a similar color. Only words with
+// automatic colors are changed (not those picked by hand), and only to a color further from their neighbors.
+// Words later in the list give way, so the colors of words placed earlier stay put.
+// Returns the same words array when nothing changes.
+const separateTouchingColors = (words, gridCells, paletteColors) => {
+    const touching = findTouchingWords(gridCells);
+    let result = words;
+    [...words].reverse().forEach(({ id }) => {
+        const word = result.find(w => w.id === id);
+        if (word.isColorPicked || !touching.has(id)) return;
+        const neighborColors = result.filter(w => touching.get(id).has(w.id)).map(w => w.color);
+        const closest = (color) => Math.min(...neighborColors.map(neighborColor => getColorDifference(color, neighborColor)));
+        if (closest(word.color) >= SIMILAR_COLOR_DIFFERENCE) return;
+        const color = chooseWordColor(paletteColors, result, id, touching.get(id));
+        if (closest(color) > closest(word.color)) {
+            result = result.map(w => (w.id === id ? { ...w, color } : w));
+        }
+    });
+    return result;
+};
+
+// Helper function to give every word with an automatic color a color from another palette, in list order.
+const recolorWithPalette = (words, gridCells, paletteColors) => {
+    const touching = findTouchingWords(gridCells);
+    let result = words.map(word => (word.isColorPicked ? word : { ...word, color: null }));
+    words.forEach(({ id, isColorPicked }) => {
+        if (isColorPicked) return;
+        const color = chooseWordColor(paletteColors, result, id, touching.get(id));
+        result = result.map(w => (w.id === id ? { ...w, color } : w));
+    });
+    return result;
+};
+
+// Helper function to copy the words' colors into their placed cells.
+const recolorCells = (gridCells, words) => {
+    const colorById = new Map(words.map(word => [word.id, word.color]));
+    return gridCells.map(row => row.map(cell => (
+        cell && colorById.has(cell.wordId) && cell.color !== colorById.get(cell.wordId)
+            ? { ...cell, color: colorById.get(cell.wordId) }
+            : cell
+    )));
+};
+
+// Helper function to fetch a word list served from public/dictionaries, one word per line.
+// The files there are generated at build time (see scripts/build-hebrew-dictionary.mjs) rather than committed.
+const fetchWordList = (fileName) => fetch(`${process.env.PUBLIC_URL}/dictionaries/${fileName}`)
+    .then(response => {
+        if (!response.ok) throw new Error(`${fileName}: ${response.status} ${response.statusText}`);
+        return response.text();
+    })
+    .then(text => text.split('\n').filter(word => word !== ''));
+
+// Languages offered by the dictionary scan. Each word list is only loaded on first use.
+const DICTIONARY_LANGUAGES = [
+    { code: 'he', name: 'Hebrew', load: () => fetchWordList('he.txt') },
+    { code: 'en', name: 'English', load: () => import('an-array-of-english-words').then(module => module.default) },
+];
+
+// Key under which the dictionary scan settings ({ language, blocklist }) are kept in localStorage.
+const SCAN_SETTINGS_STORAGE_KEY = 'strandsCreator.dictionaryScan';
+
+// Helper function to read the dictionary scan settings from localStorage.
+const loadScanSettings = () => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(SCAN_SETTINGS_STORAGE_KEY));
+        return { language: 'he', blocklist: '', ...stored };
+    } catch (error) {
+        return { language: 'he', blocklist: '' };
+    }
+};
+
+// Helper function to get today's date as YYYY-MM-DD in the author's time zone.
+const getTodayIsoDate = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// Helper function to read a share link from a URL fragment ("#edit=<code>" or "#review=<code>").
+// Returns { mode: 'edit' | 'review', code }, or null when the fragment holds no share link.
+const readShareLinkFragment = (hash) => {
+    const match = /^#(edit|review)=(.*)$/.exec(hash);
+    return match ? { mode: match[1], code: match[2] } : null;
+};
+
+// Size in pixels of one board cell on the printable sheet, and of the margin around the sheet's content.
+const SHEET_CELL_SIZE = 56;
+const SHEET_MARGIN = 32;
+
+// Helper function to escape text for use inside SVG markup.
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, character => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[character]
+));
+
+// Helper function to draw the puzzle as a standalone SVG document (returned as a string).
+// The 'player' variant is the blank sheet a solver gets: theme, hint and the letters on the board.
+// The 'answer' variant draws each word's path as a line in the word's color under the letters and lists the words.
+// Returns { svg, width, height }.
+const buildPuzzleSheetSvg = ({ themeText, hintText, enteredWords, gridCells }, variant) => {
+    const rows = gridCells.length;
+    const cols = gridCells[0].length;
+    const isAnswerKey = variant === 'answer';
+    const fontFamily = "Inter, 'Segoe UI', Arial, sans-serif";
+    const boardWidth = cols * SHEET_CELL_SIZE;
+    const width = Math.max(boardWidth, 320) + SHEET_MARGIN * 2;
+    const boardLeft = (width - boardWidth) / 2;
+    const boardTop = SHEET_MARGIN + (hintText ? 76 : 48);
+    const listTop = boardTop + rows * SHEET_CELL_SIZE + SHEET_MARGIN;
+    const height = isAnswerKey ? listTop + 28 + enteredWords.length * 24 : listTop;
+    const center = (index) => (index + 0.5) * SHEET_CELL_SIZE;
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+        `<text x="${width / 2}" y="${SHEET_MARGIN + 20}" text-anchor="middle" font-family="${fontFamily}" font-size="24" font-weight="700" fill="#1f2937">${escapeXml(themeText || 'Untitled puzzle')}</text>`,
+    ];
+    if (hintText) {
+        parts.push(`<text x="${width / 2}" y="${SHEET_MARGIN + 52}" text-anchor="middle" font-family="${fontFamily}" font-size="16" fill="#4b5563">${escapeXml(hintText)}</text>`);
+    }
+    parts.push(`<g transform="translate(${boardLeft} ${boardTop})">`);
+
+    if (isAnswerKey) {
+        enteredWords.forEach(word => {
+            const path = gridCells.flat()
+                .filter(cell => cell && cell.wordId === word.id)
+                .sort((a, b) => a.sequenceIndex - b.sequenceIndex);
+            if (path.length === 0) return;
+            const points = path.map(cell => `${center(cell.col)},${center(cell.row)}`).join(' ');
+            // A single placed letter still gets a dot so that it shows up in the key.
+            parts.push(path.length > 1
+                ? `<polyline points="${points}" fill="none" stroke="${escapeXml(word.color)}" stroke-opacity="0.55" stroke-width="${(SHEET_CELL_SIZE * 6) / 10}" stroke-linecap="round" stroke-linejoin="round"/>`
+                : `<circle cx="${center(path[0].col)}" cy="${center(path[0].row)}" r="${(SHEET_CELL_SIZE * 3) / 10}" fill="${escapeXml(word.color)}" fill-opacity="0.55"/>`);
+        });
+    }
+
+    gridCells.forEach((row, r) => row.forEach((cell, c) => {
+        parts.push(isAnswerKey
+            ? `<circle cx="${center(c)}" cy="${center(r)}" r="${(SHEET_CELL_SIZE * 4) / 10}" fill="none" stroke="#d1d5db"/>`
+            : `<circle cx="${center(c)}" cy="${center(r)}" r="${(SHEET_CELL_SIZE * 4) / 10}" fill="#f3f4f6" stroke="#d1d5db"/>`);
+        if (cell) {
+            parts.push(`<text x="${center(c)}" y="${center(r)}" text-anchor="middle" dominant-baseline="central" font-family="${fontFamily}" font-size="24" font-weight="700" fill="#111827">${escapeXml(cell.letter)}</text>`);
+        }
+    }));
+    parts.push('</g>');
+
+    if (isAnswerKey) {
+        parts.push(`<text x="${SHEET_MARGIN}" y="${listTop}" font-family="${fontFamily}" font-size="16" font-weight="700" fill="#1f2937">Answers</text>`);
+        enteredWords.forEach((word, index) => {
+            const y = listTop + 28 + index * 24;
+            parts.push(`<rect x="${SHEET_MARGIN}" y="${y - 13}" width="16" height="16" rx="3" fill="${escapeXml(word.color)}"/>`);
+            parts.push(`<text x="${SHEET_MARGIN + 24}" y="${y}" font-family="${fontFamily}" font-size="15" fill="#1f2937">${escapeXml(`${index + 1}. ${word.text}${word.isSpangram ? ' (spangram)' : ''}`)}</text>`);
+        });
+    }
+    parts.push('</svg>');
+
+    return { svg: parts.join('\n'), width, height };
+};
+
+// Helper function to make the browser download a Blob under the given file name.
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+// Key under which the draft library is kept in the browser's localStorage.
+const DRAFTS_STORAGE_KEY = 'strandsCreator.drafts';
+
+// Helper function to read the draft library from localStorage. Returns null if storage is unavailable or the
+// saved library cannot be read. A status this version does not know (written by a newer one, or edited by hand)
+// is read as 'draft'.
+// Each draft is an object: { id, name, themeText, hintText, letterRule, enteredWords, gridCells, updatedAt }.
+const loadDrafts = () => {
+    try {
+        const stored = window.localStorage.getItem(DRAFTS_STORAGE_KEY);
+        const drafts = stored ? JSON.parse(stored) : [];
+        if (!Array.isArray(drafts)) return null;
+        return drafts.map(draft => (draft.status === undefined || isPuzzleStatus(draft.status) ? draft : { ...draft, status: 'draft' }));
+    } catch (error) {
+        return null;
+    }
+};
+
+// Helper function to write the draft library to localStorage. Returns false if storage is unavailable or full.
+const saveDrafts = (drafts) => {
+    try {
+        window.localStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(drafts));
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Helper function to merge the draft library saved by another tab into this tab's copy.
+// For a draft both sides have, the one modified last wins. A draft missing from storage was deleted in the
+// other tab if this tab had already saved it (its id is in savedIds); otherwise it is new here and is kept.
+// Returns localDrafts itself when neither this tab's copy nor the stored one needs to change; a new array when
+// only storage is behind, so that the result gets saved.
+const mergeDrafts = (localDrafts, storedDrafts, savedIds) => {
+    const localById = new Map(localDrafts.map(draft => [draft.id, draft]));
+    const storedIds = new Set(storedDrafts.map(draft => draft.id));
+    const merged = [
+        ...storedDrafts.map(stored => {
+            const local = localById.get(stored.id);
+            return local && local.updatedAt > stored.updatedAt ? local : stored;
+        }),
+        ...localDrafts.filter(draft => !storedIds.has(draft.id) && !savedIds.has(draft.id)),
+    ];
+    const mergedJson = JSON.stringify(merged);
+    return mergedJson === JSON.stringify(localDrafts) && mergedJson === JSON.stringify(storedDrafts) ? localDrafts : merged;
+};
+
+// Review component: the read-only view a reviewer gets from a "#review=" share link. Shows the board as a
+// solver sees it, or with the solution drawn in (using the printable sheet), and the word list.
+const ReviewView = ({ puzzle, onOpenInEditor, onClose }) => {
+    // State for whether the solution (word paths and answers) is shown.
+    const [showSolution, setShowSolution] = useState(false);
+    const sheet = buildPuzzleSheetSvg(puzzle, showSolution ? 'answer' : 'player');
+
+    return (
+        <div className="panel review-panel">
+            <h1 className="title">Puzzle Review</h1>
+            <p className="library-item-meta" style={{ textAlign: 'center' }}>
+                This puzzle was shared as a read-only link. Nothing here changes your drafts.
+            </p>
+            <div className="review-sheet" role="img" aria-label={`Puzzle board for "${puzzle.themeText || 'Untitled puzzle'}"`}
+                dangerouslySetInnerHTML={{ __html: sheet.svg }}
+            />
+            <div className="toolbar" style={{ marginTop: '0.75rem' }}>
+                <button onClick={() => setShowSolution(!showSolution)} className="button button-blue" aria-pressed={showSolution}>
+                    {showSolution ? 'Hide Solution' : 'Show Solution'}
+                </button>
+                <button onClick={onOpenInEditor} className="button button-green" title="Copy this puzzle into a new draft to edit it">
+                    Open in Editor
+                </button>
+                <button onClick={onClose} className="button button-gray">
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Collection component: every puzzle in the draft library on a publishing calendar, with its publish date,
+// status and author, the repeats it has with other puzzles, and export of a date range as a bundle.
+const CollectionView = ({ drafts, currentDraftId, onUpdateDraft, onOpenDraft, onClose }) => {
+    // State for the date range of the bundle export, a week from today to start with.
+    const [bundleFrom, setBundleFrom] = useState(getTodayIsoDate);
+    const [bundleTo, setBundleTo] = useState(() => addDays(getTodayIsoDate(), 6));
+    // State for a bundle that could not be written.
+    const [bundleError, setBundleError] = useState(null);
+
+    const repeats = findCollectionRepeats(drafts);
+    const bundle = buildPuzzleBundle(drafts, bundleFrom, bundleTo);
+    // Scheduled puzzles come first, by date; the others follow by title.
+    const sortedDrafts = [...drafts].sort((a, b) => {
+        if (a.publishDate && b.publishDate) return a.publishDate.localeCompare(b.publishDate);
+        if (a.publishDate || b.publishDate) return a.publishDate ? -1 : 1;
+        return getDraftTitle(a).localeCompare(getDraftTitle(b));
+    });
+
+    // Event handler for the "Export Bundle" button: zips the day files and the manifest and downloads them.
+    const handleExportBundle = () => {
+        if (bundle.warnings.length > 0 &&
+            !window.confirm(`${bundle.warnings.join('\n')}\n\nExport the bundle anyway?`)) return;
+
+        setBundleError(null);
+        import('jszip')
+            .then(({ default: JSZip }) => {
+                const zip = new JSZip();
+                bundle.files.forEach(file => zip.file(file.name, file.content));
+                return zip.generateAsync({ type: 'blob' });
+            })
+            .then(blob => downloadBlob(blob, `strands_${bundleFrom}_to_${bundleTo}.zip`))
+            .catch(error => {
+                setBundleError(`The bundle could not be written (${error.message}).`);
+            });
+    };
+
+    return (
+        <div className="panel collection-panel">
+            <h1 className="title">Puzzle Collection</h1>
+            {drafts.length === 0 ? (
+                <p className="library-item-meta">The collection is empty. Puzzles appear here once they are saved as drafts.</p>
+            ) : (
+                <table className="collection-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Publish date</th>
+                            <th scope="col">Puzzle</th>
+                            <th scope="col">Status</th>
+                            <th scope="col">Author</th>
+                            <th scope="col"><span className="sr-only">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sortedDrafts.map(draft => (
+                            <tr key={draft.id} className={repeats.get(draft.id).length > 0 ? 'has-repeats' : ''}>
+                                <td>
+                                    <input
+                                        type="date"
+                                        className="input-field"
+                                        value={draft.publishDate || ''}
+                                        onChange={(e) => onUpdateDraft(draft.id, { publishDate: e.target.value })}
+                                        aria-label={`Publish date of "${getDraftTitle(draft)}"`}
+                                    />
+                                </td>
+                                <td>
+                                    <div className="library-item-title" dir="auto">
+                                        {getDraftTitle(draft)}
+                                        {draft.id === currentDraftId && ' (editing)'}
+                                    </div>
+                                    <div className="library-item-meta">{draft.enteredWords.length} word(s)</div>
+                                    {repeats.get(draft.id).length > 0 && (
+                                        <ul className="collection-repeats">
+                                            {repeats.get(draft.id).map((message, index) => <li key={index} dir="auto">{message}</li>)}
+                                        </ul>
+                                    )}
+                                </td>
+                                <td>
+                                    <select
+                                        className="input-field"
+                                        value={draft.status || 'draft'}
+                                        onChange={(e) => onUpdateDraft(draft.id, { status: e.target.value })}
+                                        aria-label={`Status of "${getDraftTitle(draft)}"`}
+                                    >
+                                        {PUZZLE_STATUSES.map(option => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td>
+                                    <input
+                                        type="text"
+                                        className="input-field"
+                                        value={draft.author || ''}
+                                        onChange={(e) => onUpdateDraft(draft.id, { author: e.target.value })}
+                                        aria-label={`Author of "${getDraftTitle(draft)}"`}
+                                        dir="auto"
+                                    />
+                                </td>
+                                <td>
+                                    <button
+                                        onClick={() => onOpenDraft(draft.id)}
+                                        className="button button-blue"
+                                        style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                        title="Open this puzzle in the editor"
+                                    >
+                                        Open
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {/* Export of a date range as a bundle of day files and a manifest */}
+            <div className="library-container">
+                <h2 className="word-list-title">Export Bundle</h2>
+                <div className="input-flex-container" style={{ alignItems: 'center' }}>
+                    <label htmlFor="bundleFrom" className="label" style={{ marginBottom: 0 }}>From:</label>
+                    <input id="bundleFrom" type="date" className="input-field" value={bundleFrom} onChange={(e) => setBundleFrom(e.target.value)} />
+                    <label htmlFor="bundleTo" className="label" style={{ marginBottom: 0 }}>To:</label>
+                    <input id="bundleTo" type="date" className="input-field" value={bundleTo} onChange={(e) => setBundleTo(e.target.value)} />
+                </div>
+                {bundle.errors.length > 0 && (
+                    <div className="info-box info-box-red" style={{ marginTop: '0.75rem' }}>
+                        <ul className="info-box-list">
+                            {bundle.errors.map((error, index) => <li key={index} dir="auto">{error}</li>)}
+                        </ul>
+                    </div>
+                )}
+                {bundle.warnings.length > 0 && (
+                    <div className="info-box info-box-yellow" style={{ marginTop: '0.75rem' }}>
+                        <ul className="info-box-list">
+                            {bundle.warnings.map((warning, index) => <li key={index} dir="auto">{warning}</li>)}
+                        </ul>
+                    </div>
+                )}
+                <p className="library-item-meta">
+                    One strands_layout.csv per day, named after its date, and an index.json listing the puzzles.
+                </p>
+            </div>
+
+            <div className="toolbar" style={{ marginTop: '0.75rem' }}>
+                <button onClick={handleExportBundle} className="button button-green" disabled={bundle.errors.length > 0}>
+                    Export Bundle ({bundle.files.length > 0 ? bundle.files.length - 1 : 0} puzzle(s))
+                </button>
+                <button onClick={onClose} className="button button-gray">
+                    Back to Editor
+                </button>
+            </div>
+            {bundleError && (
+                <div className="info-box info-box-red" role="alert" style={{ marginTop: '0.75rem' }}>
+                    <p className="info-box-text">{bundleError}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Maximum number of undo steps kept in the edit history.
+const MAX_HISTORY_LENGTH = 100;
+
+// Helper function to format a number of seconds as m:ss for the playtest timer.
+const formatDuration = (totalSeconds) => {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Playtest component: presents the puzzle as a solver would see it. Colors and indexes are hidden, the tester
+// traces words by tapping or dragging across neighboring letters, and found theme words are revealed in color.
+// Calls onClose with { date, seconds, wrongGuesses, foundCount, totalWords, completed } when the session ends.
+const PlaytestView = ({ gridCells, enteredWords, themeText, hintText, letterRule, onClose }) => {
+    const rows = gridCells.length;
+    const cols = gridCells[0].length;
+
+    // The intended path of each fully placed word, as an array of [row, col] in letter order.
+    const wordPaths = enteredWords
+        .map(word => ({
+            word,
+            path: gridCells.flat()
+                .filter(cell => cell && cell.wordId === word.id)
+                .sort((a, b) => a.sequenceIndex - b.sequenceIndex)
+                .map(cell => [cell.row, cell.col]),
+        }))
+        .filter(({ word, path }) => path.length === splitLetters(word.text, letterRule).length);
+    const unplacedCount = enteredWords.length - wordPaths.length;
+
+    // State for the letters being traced ([row, col] in order), the IDs of the words found so far,
+    // the texts of wrong guesses, and the feedback shown after each guess.
+    const [trace, setTrace] = useState([]);
+    const [foundIds, setFoundIds] = useState([]);
+    const [wrongGuesses, setWrongGuesses] = useState([]);
+    const [feedback, setFeedback] = useState('');
+    // State for the timer: when the session started, the current time (ticking every second) and when it was solved.
+    const [startTime] = useState(() => Date.now());
+    const [now, setNow] = useState(() => Date.now());
+    const [solvedAt, setSolvedAt] = useState(null);
+    // Refs for drag tracing: whether the pointer is down, and the trace length when it was pressed.
+    const isDragging = useRef(false);
+    const traceLengthAtPress = useRef(0);
+
+    const elapsedSeconds = Math.floor(((solvedAt || now) - startTime) / 1000);
+    const isSolved = solvedAt !== null;
+
+    // useEffect hook to tick the timer every second until the puzzle is solved.
+    useEffect(() => {
+        if (isSolved) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [isSolved]);
+
+    // Map from "row-col" to the found word covering that cell.
+    const foundCells = new Map();
+    wordPaths.forEach(({ word, path }) => {
+        if (foundIds.includes(word.id)) {
+            path.forEach(([r, c]) => foundCells.set(`${r}-${c}`, word));
+        }
+    });
+
+    const sameCell = (a, b) => a && b && a[0] === b[0] && a[1] === b[1];
+
+    // Function to check a finished trace against the theme words.
+    const submitTrace = (cells) => {
+        setTrace([]);
+        if (cells.length < 2) return;
+        const guess = cells.map(([r, c]) => gridCells[r][c].letter).join('');
+        const match = wordPaths.find(({ word, path }) =>
+            !foundIds.includes(word.id) && path.length === cells.length && path.every((coords, index) => sameCell(coords, cells[index]))
+        );
+
+        if (match) {
+            const newFoundIds = [...foundIds, match.word.id];
+            setFoundIds(newFoundIds);
+            setFeedback(match.word.isSpangram ? `SPANGRAM! ${guess}` : `Found ${guess}`);
+            if (newFoundIds.length === wordPaths.length) {
+                setSolvedAt(Date.now());
+            }
+        } else {
+            // A theme word traced along a different route is still a wrong guess, but say so.
+            const isThemeText = wordPaths.some(({ word }) => getBoardLetters(word.text, letterRule).join('') === guess);
+            setWrongGuesses(prevGuesses => [...prevGuesses, guess]);
+            setFeedback(isThemeText ? `${guess} is a theme word, but not along that route` : `${guess} is not a theme word`);
+        }
+    };
+
+    // Function to find the playtest cell under a pointer position. Returns [row, col] or null.
+    const getCellAtPoint = (x, y) => {
+        const element = document.elementFromPoint ? document.elementFromPoint(x, y) : null;
+        const cellElement = element ? element.closest('[data-play-row]') : null;
+        return cellElement ? [parseInt(cellElement.dataset.playRow, 10), parseInt(cellElement.dataset.playCol, 10)] : null;
+    };
+
+    // Function to extend or backtrack the trace with a cell. Returns the new trace.
+    const stepTrace = (cells, coords) => {
+        if (!gridCells[coords[0]][coords[1]] || foundCells.has(`${coords[0]}-${coords[1]}`)) return cells;
+        if (cells.length > 1 && sameCell(coords, cells[cells.length - 2])) return cells.slice(0, -1);
+        if (cells.some(cell => sameCell(cell, coords))) return cells;
+        if (cells.length > 0 && !isNeighbor(cells[cells.length - 1], coords)) return [coords]; // Start over here.
+        return [...cells, coords];
+    };
+
+    // Event handler for pressing a cell: tapping the last traced letter submits the word,
+    // anything else extends the trace or starts a new one.
+    const handlePointerDown = (event) => {
+        if (isSolved || (event.pointerType === 'mouse' && event.button !== 0)) return;
+        const cellElement = event.target.closest('[data-play-row]');
+        if (!cellElement) return;
+        const coords = [parseInt(cellElement.dataset.playRow, 10), parseInt(cellElement.dataset.playCol, 10)];
+        event.preventDefault();
+
+        if (trace.length > 0 && sameCell(coords, trace[trace.length - 1])) {
+            submitTrace(trace);
+            return;
+        }
+        if (event.currentTarget.setPointerCapture) {
+            event.currentTarget.setPointerCapture(event.pointerId);
+        }
+        const newTrace = stepTrace(trace, coords);
+        isDragging.current = true;
+        traceLengthAtPress.current = newTrace.length;
+        setTrace(newTrace);
+    };
+
+    // Event handler for dragging across cells while pressed.
+    const handlePointerMove = (event) => {
+        if (!isDragging.current) return;
+        const coords = getCellAtPoint(event.clientX, event.clientY);
+        if (coords && !sameCell(coords, trace[trace.length - 1])) {
+            setTrace(stepTrace(trace, coords));
+        }
+    };
+
+    // Event handler for releasing the pointer: a drag across several letters submits them right away,
+    // a plain tap keeps building the word.
+    const handlePointerUp = () => {
+        if (!isDragging.current) return;
+        isDragging.current = false;
+        if (trace.length !== traceLengthAtPress.current && trace.length > 1) {
+            submitTrace(trace);
+        }
+    };
+
+    // Event handler for ending the session, reporting the result to the editor.
+    const handleEndPlaytest = () => {
+        onClose({
+            date: Date.now(),
+            seconds: elapsedSeconds,
+            wrongGuesses: wrongGuesses.length,
+            foundCount: foundIds.length,
+            totalWords: wordPaths.length,
+            completed: isSolved,
+        });
+    };
 
-    const dr = Math.abs(r1 - r2);
-    const dc = Math.abs(c1 - c2);
+    const traceText = trace.map(([r, c]) => gridCells[r][c].letter).join('');
 
-    // Cells are neighbors if the difference in row and column is at most 1,
-    // and they are not the same cell (dr !== 0 || dc !== 0).
-    return dr <= 1 && dc <= 1 && (dr !== 0 || dc !== 0);
+    return (
+        <div className="panel playtest-panel">
+            <h1 className="title">Playtest</h1>
+            <div className="playtest-header">
+                <p className="playtest-theme-label">Today's theme</p>
+                <p className="playtest-theme" dir="auto">{themeText || '(no theme)'}</p>
+                {hintText && <p className="playtest-hint" dir="auto">{hintText}</p>}
+            </div>
+            <div className="playtest-stats">
+                <span>Time: <strong>{formatDuration(elapsedSeconds)}</strong></span>
+                <span>Found: <strong>{foundIds.length} / {wordPaths.length}</strong></span>
+                <span>Wrong guesses: <strong>{wrongGuesses.length}</strong></span>
+            </div>
+            {unplacedCount > 0 && (
+                <div className="info-box info-box-yellow">
+                    <p className="info-box-text" style={{ fontSize: '0.875rem' }}>
+                        {unplacedCount} word(s) are not fully placed and cannot be found.
+                    </p>
+                </div>
+            )}
+            <div className="playtest-trace" aria-live="polite">{traceText || feedback || ' '}</div>
+            <div
+                className="grid-container"
+                style={{ gridTemplateColumns: `repeat(${cols}, minmax(0, 3rem))`, gridTemplateRows: `repeat(${rows}, auto)` }}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => { isDragging.current = false; }}
+            >
+                {gridCells.map((row, rowIndex) => row.map((cellContent, colIndex) => {
+                    const foundWord = foundCells.get(`${rowIndex}-${colIndex}`);
+                    const isTraced = trace.some(coords => sameCell(coords, [rowIndex, colIndex]));
+                    return (
+                        <div
+                            key={`${rowIndex}-${colIndex}`}
+                            className={`grid-cell playtest-cell ${foundWord ? (foundWord.isSpangram ? 'found-spangram' : 'found') : ''} ${isTraced ? 'tracing' : ''}`}
+                            style={{ gridRow: rowIndex + 1, gridColumn: colIndex + 1 }}
+                            data-play-row={rowIndex}
+                            data-play-col={colIndex}
+                        >
+                            {cellContent ? cellContent.letter : ''}
+                        </div>
+                    );
+                }))}
+                {/* Lines along the found words and the current trace, in cell units (cell centers at .5) */}
+                <svg className="grid-overlay" aria-hidden="true" viewBox={`0 0 ${cols} ${rows}`} preserveAspectRatio="none">
+                    {[
+                        ...wordPaths
+                            .filter(({ word }) => foundIds.includes(word.id))
+                            .map(({ word, path }) => ({ key: word.id, path, color: word.isSpangram ? '#ca8a04' : '#2563eb' })),
+                        { key: 'trace', path: trace, color: '#4b5563' },
+                    ].filter(line => line.path.length > 1).map(line => (
+                        <polyline
+                            key={line.key}
+                            points={line.path.map(([r, c]) => `${c + 0.5},${r + 0.5}`).join(' ')}
+                            fill="none"
+                            stroke={line.color}
+                            strokeOpacity="0.5"
+                            strokeWidth="8"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            vectorEffect="non-scaling-stroke"
+                        />
+                    ))}
+                </svg>
+            </div>
+            <div className="toolbar" style={{ marginTop: '0.75rem' }}>
+                <button onClick={() => submitTrace(trace)} className="button button-green" disabled={trace.length < 2 || isSolved}>
+                    Submit
+                </button>
+                <button onClick={() => setTrace([])} className="button button-gray" disabled={trace.length === 0}>
+                    Clear
+                </button>
+                <button onClick={handleEndPlaytest} className="button button-red">
+                    End Playtest
+                </button>
+            </div>
+            {isSolved && (
+                <div className="info-box info-box-green" style={{ marginTop: '0.75rem' }}>
+                    <p className="info-box-text">
+                        Solved in <span>{formatDuration(elapsedSeconds)}</span> with <span>{wrongGuesses.length}</span> wrong guess(es).
+                    </p>
+                </div>
+            )}
+            {wrongGuesses.length > 0 && (
+                <p className="library-item-meta" style={{ marginTop: '0.5rem' }}>
+                    Wrong guesses: {wrongGuesses.join(', ')}
+                </p>
+            )}
+        </div>
+    );
 };
 
 // Main App component for our Word List Editor with a Clickable Grid.
 const App = () => {
+    // The draft library as it was when the app started, and the most recently modified draft in it.
+    // The latest draft is reopened on load so a reload or an accidental close loses nothing.
+    const [loadedDrafts] = useState(loadDrafts);
+    const initialDrafts = loadedDrafts || [];
+    const initialDraft = initialDrafts.reduce((latest, draft) => (!latest || draft.updatedAt > latest.updatedAt ? draft : latest), null);
+
     // State to hold the word currently being typed into the input field.
     const [currentWord, setCurrentWord] = useState('');
     // State to hold the list of all words entered by the user.
     // Each word is an object: { id: uniqueString, text: string, color: string }.
-    const [enteredWords, setEnteredWords] = useState([]);
+    const [enteredWords, setEnteredWords] = useState(initialDraft ? initialDraft.enteredWords : []);
     // State to store the ID of the word currently in edit mode. Null if no word is being edited.
     const [editMode, setEditMode] = useState(null);
     // State to store the text of the word being edited in the input field.
@@ -52,26 +854,201 @@ const App = () => {
     // State for the clickable grid cells.
     // Each cell can be null (empty) or hold an object:
     // { letter: 'A', wordId: 'someId', color: '#hexColor', sequenceIndex: 0, row: number, col: number }
-    // Initializes an 8x6 array with all cells set to null.
+    // Initializes an 8x6 array with all cells set to null. The board size of a puzzle is the size of this array.
     const [gridCells, setGridCells] = useState(
-        Array(8).fill(null).map(() => Array(6).fill(null))
+        initialDraft ? initialDraft.gridCells : createEmptyGrid(DEFAULT_ROWS, DEFAULT_COLS)
     );
 
+    // The board dimensions of the current puzzle.
+    const boardRows = gridCells.length;
+    const boardCols = gridCells[0].length;
+
     // State to track which words have letters placed on the grid
     const [placedWordIds, setPlacedWordIds] = useState(new Set());
 
     // State for Theme and Hint inputs
-    const [themeText, setThemeText] = useState('');
-    const [hintText, setHintText] = useState('');
+    const [themeText, setThemeText] = useState(initialDraft ? initialDraft.themeText : '');
+    const [hintText, setHintText] = useState(initialDraft ? initialDraft.hintText : '');
+
+    // State for the puzzle's letter rule (a code from LETTER_RULES): how word texts become board letters.
+    const [letterRule, setLetterRule] = useState(initialDraft && initialDraft.letterRule ? initialDraft.letterRule : 'none');
+
+    // State for the draft library: all saved drafts, and the ID of the draft being edited.
+    const [drafts, setDrafts] = useState(initialDrafts);
+    // Ref to the IDs of the drafts this tab last found in or wrote to localStorage, used by mergeDrafts.
+    const savedDraftIds = useRef(new Set(initialDrafts.map(draft => draft.id)));
+    const [currentDraftId, setCurrentDraftId] = useState(initialDraft ? initialDraft.id : crypto.randomUUID());
+    // State to store the ID of the draft being renamed in the library, and the new name being typed.
+    const [renamingDraftId, setRenamingDraftId] = useState(null);
+    const [renameText, setRenameText] = useState('');
+    // State set when the browser refuses to store drafts (storage disabled or full).
+    const [storageError, setStorageError] = useState(false);
+    // State set when the drafts saved in this browser could not be read (storage disabled or the data damaged).
+    const [storageReadError, setStorageReadError] = useState(loadedDrafts === null);
+
+    // Ref to the hidden file input used by the "Open Layout" button.
+    const layoutFileInputRef = useRef(null);
+
+    // State to hold problems found while opening a layout file. Empty when the last open succeeded.
+    const [importErrors, setImportErrors] = useState([]);
 
-    // Ref to keep track of the next color index to assign to new words.
-    // Using useRef to ensure it doesn't reset on re-renders.
-    const nextColorIndex = useRef(0);
+    // State for the undo/redo history. Each entry is a snapshot of the puzzle taken before an edit:
+    // { enteredWords, gridCells, themeText, hintText, letterRule, selectedWordData }.
+    const [undoStack, setUndoStack] = useState([]);
+    const [redoStack, setRedoStack] = useState([]);
+    // State for the layout generator: { solutions, index, message } after "Generate Layout", or null.
+    // While solutions are present the grid previews solutions[index] until it is applied or discarded.
+    const [generatorResult, setGeneratorResult] = useState(null);
+
+    // State for the message shown when a click on the grid is rejected (e.g. a crossing path), or null.
+    const [placementWarning, setPlacementWarning] = useState(null);
+
+    // State for a word being traced by dragging across the grid: { cells: [[row, col], ...] } holding the
+    // cells passed so far (not yet placed), or null when no drag is in progress.
+    const [dragTrace, setDragTrace] = useState(null);
+    // Ref set when a drag placed letters, so the click that follows the pointerup is not handled again.
+    const suppressNextClick = useRef(false);
+
+    // State for the keyboard cursor on the grid as [row, col]. The cell under it is the one focusable cell.
+    const [gridCursor, setGridCursor] = useState([0, 0]);
+    // Ref to the grid container, used to move focus along with the keyboard cursor.
+    const gridContainerRef = useRef(null);
+
+    // State for playtest mode: true while the puzzle is shown as a solver would see it.
+    const [isPlaytesting, setIsPlaytesting] = useState(false);
+
+    // State for the palette new and automatically colored words take their colors from (a WORD_PALETTES id),
+    // and the word whose color picker is open.
+    const [wordPaletteId, setWordPaletteId] = useState(() => {
+        const stored = safeGetItem(WORD_PALETTE_STORAGE_KEY);
+        return WORD_PALETTES.some(palette => palette.id === stored) ? stored : 'classic';
+    });
+    const [colorPickerWordId, setColorPickerWordId] = useState(null);
+
+    // State for what exporting does while publish checklist items fail: 'warn' (ask first) or 'block'.
+    const [exportCheckMode, setExportCheckMode] = useState(() => (
+        safeGetItem(EXPORT_CHECK_STORAGE_KEY) === 'block' ? 'block' : 'warn'
+    ));
+
+    // State for whether the puzzle collection (publishing calendar) is shown instead of the editor.
+    const [isCollectionOpen, setIsCollectionOpen] = useState(false);
+
+    // State for share links: the puzzle opened from a "#review=" link (shown read-only instead of the editor)
+    // or null, the links made by "Share Link" ({ edit, review }) or null, and the error from a broken link.
+    const [reviewPuzzle, setReviewPuzzle] = useState(null);
+    const [shareLinks, setShareLinks] = useState(null);
+    const [shareLinkError, setShareLinkError] = useState(null);
+    // State for the kind of share link ('edit' or 'review') that could not be copied to the clipboard, or null.
+    const [shareCopyFailed, setShareCopyFailed] = useState(null);
+    // Ref to the function handling a share link in the URL, called on load and when the fragment changes.
+    const shareLinkHandler = useRef(() => {});
+
+    // State for path editing mode: { wordId, index } while the path of that word is being repaired, where index is
+    // the chosen letter to place or move (null until one is chosen), or null when the mode is off.
+    const [pathEdit, setPathEdit] = useState(null);
+
+    // State for a word being dragged to a new place in the list: { wordId, overIndex }, or null.
+    const [wordDrag, setWordDrag] = useState(null);
+
+    // State for bulk word entry: the pasted or loaded text, or null while the bulk entry panel is closed.
+    const [bulkText, setBulkText] = useState(null);
+    // State for the message shown when a word list file could not be read, or null.
+    const [bulkFileError, setBulkFileError] = useState(null);
+    // Ref to the hidden file input of the bulk entry panel.
+    const bulkFileInputRef = useRef(null);
+
+    // State for the printable sheet: 'player' (blank sheet with theme and hint) or 'answer' (answer key).
+    const [sheetVariant, setSheetVariant] = useState('player');
+    // State for the message shown when the sheet could not be made into a PNG image, or null.
+    const [sheetError, setSheetError] = useState(null);
+
+    // State for the dictionary scan: the chosen language and blocklist (kept in localStorage),
+    // whether the blocklist editor is open, and the last result:
+    // { status: 'loading' | 'done' | 'error', words, languageName } or null.
+    const [scanSettings, setScanSettings] = useState(loadScanSettings);
+    const [isEditingBlocklist, setIsEditingBlocklist] = useState(false);
+    const [scanResult, setScanResult] = useState(null);
+
+    // State for the ambiguity checker: the report from analyzeAmbiguity, or null when not run for the current grid.
+    const [ambiguityReport, setAmbiguityReport] = useState(null);
+    // State for the alternate route highlighted on the grid: { wordId, routeIndex }, or null.
+    const [highlightedRoute, setHighlightedRoute] = useState(null);
+
+    // Ref to the kind of the last recorded edit, so that typing into the theme or hint field
+    // is undone as a whole rather than one keystroke at a time.
+    const lastHistoryKey = useRef(null);
 
     // Function to calculate the letter count for a given string.
-    // This helper function now counts all characters, assuming they are "letters" for total count.
+    // Counts the letters the word takes on the board under the puzzle's letter rule.
     const calculateLetters = (text) => {
-        return text.length; // Simply return the length of the string
+        return splitLetters(text, letterRule).length;
+    };
+
+    // Function to capture everything an undo step needs to restore.
+    const takeSnapshot = () => ({
+        enteredWords,
+        gridCells,
+        themeText,
+        hintText,
+        letterRule,
+        selectedWordData,
+    });
+
+    // Function to put a snapshot taken by takeSnapshot back into state.
+    const restoreSnapshot = (snapshot) => {
+        setEnteredWords(snapshot.enteredWords);
+        setGridCells(snapshot.gridCells);
+        setThemeText(snapshot.themeText);
+        setHintText(snapshot.hintText);
+        setLetterRule(snapshot.letterRule);
+        setSelectedWordData(snapshot.selectedWordData);
+        setEditMode(null);
+        setEditedWordText('');
+    };
+
+    // Function to record the current puzzle on the undo stack. Call it right before an edit.
+    // Consecutive edits with the same non-null key (e.g. typing in the theme field) share one undo step.
+    const recordHistory = (key = null) => {
+        if (key !== null && key === lastHistoryKey.current) return;
+        lastHistoryKey.current = key;
+        setUndoStack(prevStack => [...prevStack, takeSnapshot()].slice(-MAX_HISTORY_LENGTH));
+        setRedoStack([]); // A new edit invalidates anything that was undone.
+    };
+
+    // Function to forget the edit history, used when a different puzzle is loaded.
+    const resetHistory = () => {
+        lastHistoryKey.current = null;
+        setUndoStack([]);
+        setRedoStack([]);
+    };
+
+    // Event handler for the Undo button and Ctrl+Z.
+    const handleUndo = () => {
+        if (undoStack.length === 0) return;
+        lastHistoryKey.current = null;
+        setRedoStack(prevStack => [...prevStack, takeSnapshot()]);
+        restoreSnapshot(undoStack[undoStack.length - 1]);
+        setUndoStack(undoStack.slice(0, -1));
+    };
+
+    // Event handler for the Redo button and Ctrl+Shift+Z.
+    const handleRedo = () => {
+        if (redoStack.length === 0) return;
+        lastHistoryKey.current = null;
+        setUndoStack(prevStack => [...prevStack, takeSnapshot()]);
+        restoreSnapshot(redoStack[redoStack.length - 1]);
+        setRedoStack(redoStack.slice(0, -1));
+    };
+
+    // Event handlers for the theme and hint fields; each run of typing is one undo step.
+    const handleThemeChange = (event) => {
+        recordHistory('theme');
+        setThemeText(event.target.value);
+    };
+
+    const handleHintChange = (event) => {
+        recordHistory('hint');
+        setHintText(event.target.value);
     };
 
     // Event handler for when the main input field's value changes.
@@ -83,9 +1060,9 @@ const App = () => {
     const handleAddWord = () => {
         // Only add the word if it's not empty after trimming whitespace.
         if (currentWord.trim() !== '') {
-            // Get the next unique color for the new word.
-            const newWordColor = WORD_COLORS[nextColorIndex.current % WORD_COLORS.length];
-            nextColorIndex.current++; // Increment for the next word.
+            recordHistory();
+            // Get the least used color of the palette for the new word.
+            const newWordColor = chooseWordColor(wordPalette.colors, enteredWords, null);
 
             // Create a new word object with a unique ID, trimmed text, and assigned color.
             const newWord = {
@@ -99,6 +1076,52 @@ const App = () => {
         }
     };
 
+    // Event handler for the "Add Words" button of the bulk entry panel: adds every new word from the preview
+    // in one undoable step, each taking the least used color of the palette.
+    const handleAddBulkWords = () => {
+        const newEntries = parseWordList(bulkText, enteredWords, letterRule).filter(entry => entry.status === 'new');
+        if (newEntries.length === 0) return;
+
+        recordHistory();
+        const allWords = newEntries.reduce((words, entry) => (
+            [...words, { id: crypto.randomUUID(), text: entry.text, color: chooseWordColor(wordPalette.colors, words, null) }]
+        ), enteredWords);
+        setEnteredWords(allWords);
+        setBulkText(null);
+    };
+
+    // Function to load a dropped or chosen .txt file into the bulk entry text.
+    const loadBulkFile = (file) => {
+        if (!file) return;
+        setBulkFileError(null);
+        const reader = new FileReader();
+        reader.onload = () => {
+            setBulkText(prevText => (prevText ? `${prevText}\n${reader.result}` : reader.result));
+        };
+        reader.onerror = () => {
+            setBulkFileError(`Could not read "${file.name}".`);
+        };
+        reader.readAsText(file, 'utf-8');
+    };
+
+    // Function to open or close the bulk entry panel, starting it empty.
+    const toggleBulkEntry = (isOpen) => {
+        setBulkText(isOpen ? '' : null);
+        setBulkFileError(null);
+    };
+
+    // Event handler for when a word list file has been chosen in the bulk entry file picker.
+    const handleBulkFileChange = (event) => {
+        loadBulkFile(event.target.files[0]);
+        event.target.value = ''; // Allow choosing the same file again later.
+    };
+
+    // Event handler for a file dropped onto the bulk entry panel.
+    const handleBulkDrop = (event) => {
+        event.preventDefault();
+        loadBulkFile(event.dataTransfer.files[0]);
+    };
+
     // Event handler for clicking the 'Edit' button on a list item.
     const handleEditClick = (wordId, currentText) => {
         setEditMode(wordId); // Set the edit mode to the ID of the word being edited.
@@ -136,6 +1159,39 @@ const App = () => {
         }
     };
 
+    // Function to keep a word's placed path when its text changes. The placed letters are relabeled with the new
+    // text; letters past the end of a shorter text are removed, and for a longer text the word is selected so that
+    // the author continues from the last placed cell.
+    const keepPathForEditedWord = (wordId, newText) => {
+        const newLetters = getBoardLetters(newText, letterRule);
+        const newGridCells = gridCells.map(row => row.map(cell => {
+            if (!cell || cell.wordId !== wordId) return cell;
+            return cell.sequenceIndex < newLetters.length ? { ...cell, letter: newLetters[cell.sequenceIndex] } : null;
+        }));
+        setGridCells(newGridCells);
+
+        // Find the last placed letter that is left, to resume placement after it.
+        let lastPlacedCell = null;
+        newGridCells.flat().forEach(cell => {
+            if (cell && cell.wordId === wordId && (!lastPlacedCell || cell.sequenceIndex > lastPlacedCell.sequenceIndex)) {
+                lastPlacedCell = cell;
+            }
+        });
+        const nextLetterIndex = lastPlacedCell ? lastPlacedCell.sequenceIndex + 1 : 0;
+
+        // handleEditClick deselected every word, so only a word with letters left to place gets selected here.
+        if (lastPlacedCell && nextLetterIndex < newLetters.length) {
+            const word = enteredWords.find(w => w.id === wordId);
+            setSelectedWordData({
+                id: wordId,
+                text: newText,
+                color: word.color,
+                letterIndex: nextLetterIndex,
+                lastPlacedCoords: [lastPlacedCell.row, lastPlacedCell.col]
+            });
+        }
+    };
+
     // Event handler for saving the edited word.
     const handleSaveEdit = (wordId) => {
         // Find the original word object to compare its text
@@ -143,9 +1199,10 @@ const App = () => {
 
         // Only save if the edited text is not empty.
         if (editedWordText.trim() !== '') {
-            // Clear any existing marks for this word on the grid ONLY if the text has changed.
+            // Saving unchanged text is not an edit worth undoing.
             if (originalWord && originalWord.text !== editedWordText.trim()) {
-                clearCellsForWord(wordId); // This also resets selectedWordData.letterIndex/lastPlacedCoords if selected
+                recordHistory();
+                keepPathForEditedWord(wordId, editedWordText.trim());
             }
 
             // Map over the enteredWords array to find and update the specific word's text.
@@ -171,76 +1228,612 @@ const App = () => {
 
     // Event handler for clearing cells marked by a specific word, but not removing the word itself.
     const handleClearWordCellsButton = (wordId) => {
+        if (placedWordIds.has(wordId)) {
+            recordHistory();
+        }
         clearCellsForWord(wordId);
         // clearCellsForWord now handles deselecting and resetting placement data if needed.
     };
 
-    // Event handler for selecting a word.
-    const handleSelectWord = (wordId, wordText, wordColor) => {
-        // If the word is already selected, deselect it and clear its letters from the grid.
+    // Event handler for the 'Delete' button: removes the word from the list and clears its cells.
+    // The words after it move up, so their export indexes and grid captions are renumbered.
+    const handleDeleteWord = (wordId) => {
+        recordHistory();
+        setEnteredWords(enteredWords.filter(word => word.id !== wordId));
+        setGridCells(gridCells.map(row => row.map(cell => (cell && cell.wordId === wordId ? null : cell))));
         if (selectedWordData.id === wordId) {
             setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
-            // Do not clear cells here, as clearCellsForWord will handle it when needed (e.g., on deselect)
-        } else {
-            // Select the new word.
-            // When a word is selected, we need to find its current letter index and last placed coordinates on the grid.
-            // This allows resuming a sequence if the word was partially placed.
-            let maxSequenceIndex = -1; // Max index of letter from this word already on grid
-            let currentLastPlacedCoords = null;
+        }
+        if (editMode === wordId) {
+            setEditMode(null);
+            setEditedWordText('');
+        }
+    };
 
-            // Iterate through the grid to find any existing letters from this word
-            // and determine the highest index placed and its coordinates.
-            for (let r = 0; r < gridCells.length; r++) {
-                for (let c = 0; c < gridCells[r].length; c++) {
-                    const cell = gridCells[r][c];
-                    if (cell && cell.wordId === wordId) {
-                        // Use the sequenceIndex stored in the cell content
-                        if (cell.sequenceIndex > maxSequenceIndex) {
-                            maxSequenceIndex = cell.sequenceIndex;
-                            currentLastPlacedCoords = [r, c];
-                        }
-                    }
-                }
-            }
+    // Function to move a word to another position in the list, as one undoable step.
+    const moveWord = (fromIndex, toIndex) => {
+        if (fromIndex === toIndex || toIndex < 0 || toIndex >= enteredWords.length) return;
+        recordHistory();
+        const reorderedWords = [...enteredWords];
+        const [movedWord] = reorderedWords.splice(fromIndex, 1);
+        reorderedWords.splice(toIndex, 0, movedWord);
+        setEnteredWords(reorderedWords);
+    };
 
-            // If no letters of this word are currently on the grid, start from index 0.
-            // Otherwise, start from the next letter after the highest sequence index found.
-            const newLetterIndex = maxSequenceIndex === -1 ? 0 : maxSequenceIndex + 1;
+    // Event handlers for reordering the word list by dragging an item onto another one.
+    const handleWordDragStart = (event, wordId) => {
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', wordId); // Some browsers only start a drag with data set.
+        setWordDrag({ wordId, overIndex: null });
+    };
 
-            setSelectedWordData({
-                id: wordId,
-                text: wordText.trim(),
-                color: wordColor,
-                letterIndex: newLetterIndex,
-                lastPlacedCoords: currentLastPlacedCoords
-            });
-            // Do not update gridCells here, only when placing/clearing.
+    const handleWordDragOver = (event, index) => {
+        if (!wordDrag) return;
+        event.preventDefault(); // Allows dropping here.
+        if (wordDrag.overIndex !== index) {
+            setWordDrag({ ...wordDrag, overIndex: index });
         }
-        setEditMode(null); // Exit edit mode if a word is selected.
     };
 
-    // Event handler for clicking a grid cell.
-    const handleCellClick = (rowIndex, colIndex) => {
-        // Create a deep copy of the gridCells array to ensure immutability.
-        const newGridCells = gridCells.map(row => [...row]);
-        const currentCellContent = newGridCells[rowIndex][colIndex];
-        const { id: selectedWordId, text: selectedWordText, color: selectedColor, letterIndex: currentLetterIndex, lastPlacedCoords } = selectedWordData;
-
-        // Only proceed if a word is currently selected.
-        if (selectedWordId && selectedWordText && selectedColor) {
-            // Check if there are letters left to place.
-            if (currentLetterIndex >= selectedWordText.length) {
-                // All letters placed, deselect word automatically.
-                setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
-                return;
-            }
+    const handleWordDrop = (event, index) => {
+        if (!wordDrag) return;
+        event.preventDefault();
+        moveWord(enteredWords.findIndex(word => word.id === wordDrag.wordId), index);
+        setWordDrag(null);
+    };
 
-            const letterToPlace = selectedWordText.charAt(currentLetterIndex).toUpperCase();
+    // Event handler for the arrow keys on a word's drag handle, the keyboard (and touch-free) way to reorder.
+    const handleWordHandleKeyDown = (event, index) => {
+        if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            moveWord(index, index + (event.key === 'ArrowUp' ? -1 : 1));
+        }
+    };
+
+    // Event handler for the 'Path' button: turns path editing on for a word (or off again), starting at its first gap.
+    const handleTogglePathEdit = (wordId) => {
+        setPlacementWarning(null);
+        if (pathEdit && pathEdit.wordId === wordId) {
+            setPathEdit(null);
+            return;
+        }
+        const word = enteredWords.find(w => w.id === wordId);
+        const gaps = findPathGaps(getPathSlots(gridCells, wordId, calculateLetters(word.text)));
+        setPathEdit({ wordId, index: gaps.length > 0 ? gaps[0] : null });
+        setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+        setEditMode(null);
+    };
+
+    // Event handler for a click on the grid in path editing mode. Clicking a letter of the word chooses it;
+    // clicking an empty cell places the chosen letter there (filling a gap) or moves it there.
+    const handlePathEditCellClick = (rowIndex, colIndex) => {
+        const { wordId, index } = pathEdit;
+        const cell = gridCells[rowIndex][colIndex];
+        if (cell && cell.wordId === wordId) {
+            setPathEdit({ wordId, index: cell.sequenceIndex });
+            setPlacementWarning(null);
+            return;
+        }
+        if (index === null) {
+            setPlacementWarning('Choose a letter of the word first, on the grid or in the path editor.');
+            return;
+        }
+        const problem = checkPathCell(gridCells, pathEditSlots, index, [rowIndex, colIndex]);
+        if (problem) {
+            setPlacementWarning(problem);
+            return;
+        }
+
+        recordHistory();
+        const newGridCells = gridCells.map(row => [...row]);
+        const currentCell = pathEditSlots[index];
+        if (currentCell) {
+            newGridCells[currentCell.row][currentCell.col] = null; // Moving the letter.
+        }
+        newGridCells[rowIndex][colIndex] = {
+            letter: pathEditLetters[index],
+            wordId,
+            color: pathEditWord.color,
+            sequenceIndex: index,
+            row: rowIndex,
+            col: colIndex
+        };
+        setPlacedGridCells(newGridCells);
+        setPlacementWarning(null);
+        // Go on to the next gap, so several holes can be filled one after another.
+        const gaps = findPathGaps(getPathSlots(newGridCells, wordId, pathEditLetters.length));
+        setPathEdit({ wordId, index: gaps.length > 0 ? gaps[0] : null });
+    };
+
+    // Event handler for the 'Truncate' button in path editing mode: removes the chosen letter and all after it.
+    const handleTruncatePath = () => {
+        const { wordId, index } = pathEdit;
+        recordHistory();
+        setGridCells(gridCells.map(row => row.map(cell => (
+            cell && cell.wordId === wordId && cell.sequenceIndex >= index ? null : cell
+        ))));
+        setPathEdit({ wordId, index: null });
+    };
+
+    // Function to put new word colors into state, along with the placed cells and the selected word.
+    const applyWordColors = (newWords, baseGridCells = gridCells) => {
+        setEnteredWords(newWords);
+        setGridCells(recolorCells(baseGridCells, newWords));
+        const selectedWord = newWords.find(word => word.id === selectedWordData.id);
+        if (selectedWord && selectedWord.color !== selectedWordData.color) {
+            setSelectedWordData(prevData => ({ ...prevData, color: selectedWord.color }));
+        }
+    };
+
+    // Function to put the grid into state after an edit that places letters. A path that now touches a word of a
+    // similar color moves words with automatic colors to another palette color, in the same undo step as the edit.
+    // Loaded and imported puzzles keep the colors they were saved with.
+    const setPlacedGridCells = (newGridCells) => {
+        const separatedWords = separateTouchingColors(enteredWords, newGridCells, wordPalette.colors);
+        if (separatedWords === enteredWords) {
+            setGridCells(newGridCells);
+        } else {
+            applyWordColors(separatedWords, newGridCells);
+        }
+    };
+
+    // Event handler for picking a word's color in its color picker. A picked color stays as it is; null
+    // ('Automatic') lets the editor choose from the palette again, keeping clear of the words it touches.
+    // Dragging in the custom color input is one undo step.
+    const handlePickWordColor = (wordId, color) => {
+        recordHistory(color ? `color-${wordId}` : null);
+        applyWordColors(enteredWords.map(word => {
+            if (word.id !== wordId) return word;
+            if (color) return { ...word, color: color.toUpperCase(), isColorPicked: true };
+            const { isColorPicked, ...automaticWord } = word;
+            return { ...automaticWord, color: chooseWordColor(wordPalette.colors, enteredWords, wordId, findTouchingWords(gridCells).get(wordId)) };
+        }));
+    };
+
+    // Event handler for the palette select: words with automatic colors move to the new palette in one undo step.
+    const handleChangePalette = (paletteId) => {
+        const palette = WORD_PALETTES.find(option => option.id === paletteId);
+        recordHistory();
+        setWordPaletteId(paletteId);
+        applyWordColors(recolorWithPalette(enteredWords, gridCells, palette.colors));
+    };
+
+    // Event handler for marking or unmarking a word as the spangram.
+    const handleToggleSpangram = (wordId) => {
+        recordHistory();
+        setEnteredWords(enteredWords.map(word =>
+            word.id === wordId ? { ...word, isSpangram: !word.isSpangram } : word
+        ));
+    };
+
+    // Event handler for locking or unlocking a word's placed path, so "Generate Layout" keeps or re-places it.
+    const handleToggleLock = (wordId) => {
+        recordHistory();
+        setEnteredWords(enteredWords.map(word =>
+            word.id === wordId ? { ...word, isLocked: !word.isLocked } : word
+        ));
+    };
+
+    // Event handler for the board size selectors. Letters that still fit keep their place;
+    // the author is asked before letters outside the new size are removed.
+    const handleResizeBoard = (rows, cols) => {
+        const droppedCount = gridCells.flat().filter(cell => cell && (cell.row >= rows || cell.col >= cols)).length;
+        if (droppedCount > 0 && !window.confirm(`Resizing to ${rows}x${cols} removes ${droppedCount} placed letter(s). Continue?`)) {
+            return;
+        }
+
+        recordHistory();
+        setGridCells(createEmptyGrid(rows, cols).map((row, r) =>
+            row.map((cell, c) => (r < boardRows && c < boardCols ? gridCells[r][c] : null))
+        ));
+        setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+    };
+
+    // Event handler for the letter rule selector. Relabels the placed letters with the new rule; letters beyond
+    // the end of a word that becomes shorter (e.g. a stray mark that is no longer a letter) are removed.
+    const handleChangeLetterRule = (newRule) => {
+        const lettersById = new Map(enteredWords.map(word => [word.id, getBoardLetters(word.text, newRule)]));
+        const droppedCount = gridCells.flat().filter(cell => cell && cell.sequenceIndex >= lettersById.get(cell.wordId).length).length;
+        if (droppedCount > 0 && !window.confirm(`This letter rule makes some words shorter and removes ${droppedCount} placed letter(s). Continue?`)) {
+            return;
+        }
+
+        recordHistory();
+        setLetterRule(newRule);
+        setGridCells(gridCells.map(row => row.map(cell => {
+            if (!cell) return null;
+            const letters = lettersById.get(cell.wordId);
+            return cell.sequenceIndex < letters.length ? { ...cell, letter: letters[cell.sequenceIndex] } : null;
+        })));
+        setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+    };
+
+    // Event handler for the "Generate Layout" button: searches for layouts that fill the whole grid.
+    const handleGenerateLayout = () => {
+        const result = generateLayouts(enteredWords, gridCells, { letterRule });
+        setGeneratorResult({ ...result, index: 0 });
+        setAmbiguityReport(null); // The report describes the grid being edited, not the previewed layouts.
+        setHighlightedRoute(null);
+    };
+
+    // Event handler for cycling through the generated layouts (direction is -1 or 1).
+    const handleCycleLayout = (direction) => {
+        setGeneratorResult(prevResult => ({
+            ...prevResult,
+            index: (prevResult.index + direction + prevResult.solutions.length) % prevResult.solutions.length
+        }));
+    };
+
+    // Event handler for applying the previewed layout to the grid.
+    const handleApplyLayout = () => {
+        recordHistory();
+        setPlacedGridCells(generatorResult.solutions[generatorResult.index]);
+        setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+        setGeneratorResult(null);
+    };
+
+    // Event handler for the "Check Ambiguity" button.
+    const handleCheckAmbiguity = () => {
+        setAmbiguityReport(analyzeAmbiguity(enteredWords, gridCells, letterRule));
+        setHighlightedRoute(null);
+    };
+
+    // Event handler for showing or hiding one alternate route on the grid.
+    const handleToggleRouteHighlight = (wordId, routeIndex) => {
+        setHighlightedRoute(prevRoute =>
+            prevRoute && prevRoute.wordId === wordId && prevRoute.routeIndex === routeIndex ? null : { wordId, routeIndex }
+        );
+    };
+
+    // Event handler for the "Playtest" button.
+    const handleStartPlaytest = () => {
+        setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+        setGeneratorResult(null);
+        setIsPlaytesting(true);
+    };
+
+    // Event handler for the end of a playtest session: keeps the result with the draft so difficulty can be judged.
+    const handlePlaytestClose = (result) => {
+        setIsPlaytesting(false);
+        if (result.foundCount === 0 && result.wrongGuesses === 0) return; // Nothing was tried.
+        setDrafts(prevDrafts => prevDrafts.map(draft =>
+            draft.id === currentDraftId ? { ...draft, playtests: [...(draft.playtests || []), result] } : draft
+        ));
+    };
+
+    // Event handler for the "Share Link" button: makes an editor link and a read-only review link for the puzzle.
+    const handleCreateShareLinks = () => {
+        const code = encodeShareLink({ themeText, hintText, letterRule, enteredWords, gridCells });
+        const base = `${window.location.origin}${window.location.pathname}${window.location.search}`;
+        setShareLinks({ edit: `${base}#edit=${code}`, review: `${base}#review=${code}` });
+        setShareCopyFailed(null);
+    };
+
+    // Event handler for the "Copy" buttons next to the share links. When the browser refuses the clipboard
+    // (no permission, or a page not served over HTTPS), the link is selected for the author to copy by hand.
+    const handleCopyShareLink = (kind) => {
+        const copyFailed = () => {
+            setShareCopyFailed(kind);
+            const field = document.getElementById(`shareLink-${kind}`);
+            if (field) field.focus(); // Focusing the field selects the link.
+        };
+        setShareCopyFailed(null);
+        if (!navigator.clipboard) {
+            copyFailed();
+            return;
+        }
+        navigator.clipboard.writeText(shareLinks[kind]).catch(copyFailed);
+    };
+
+    // Function to drop the share link from the address bar, so that a reload does not open it again.
+    const clearShareLinkFragment = () => {
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    };
+
+    // Function to open a puzzle from a share link as a new draft.
+    const openSharedPuzzle = (layout) => {
+        loadPuzzle(crypto.randomUUID(), {
+            themeText: layout.themeText,
+            hintText: layout.hintText,
+            letterRule: layout.letterRule,
+            enteredWords: layout.words,
+            gridCells: layout.gridCells,
+        });
+    };
+
+    // Handles a share link in the URL fragment: "#edit=" opens the puzzle as a new draft, "#review=" shows it
+    // read-only. A broken link leaves the editor as it was and says what is wrong.
+    shareLinkHandler.current = () => {
+        const link = readShareLinkFragment(window.location.hash);
+        if (!link) return;
+        const layout = decodeShareLink(link.code);
+        if (layout.errors.length > 0) {
+            setShareLinkError(layout.errors);
+            clearShareLinkFragment();
+            return;
+        }
+        setShareLinkError(null);
+        if (link.mode === 'review') {
+            // The link stays in the address bar so the reviewer can reload or bookmark it.
+            setReviewPuzzle({ themeText: layout.themeText, hintText: layout.hintText, enteredWords: layout.words, gridCells: layout.gridCells, letterRule: layout.letterRule, layout });
+        } else {
+            openSharedPuzzle(layout);
+            clearShareLinkFragment();
+        }
+    };
+
+    // Event handlers for the review view's buttons.
+    const handleOpenReviewInEditor = () => {
+        openSharedPuzzle(reviewPuzzle.layout);
+        setReviewPuzzle(null);
+        clearShareLinkFragment();
+    };
+
+    const handleCloseReview = () => {
+        setReviewPuzzle(null);
+        clearShareLinkFragment();
+    };
+
+    // Event handler for the "Scan Board" button: loads the word list and looks for non-theme words.
+    const handleScanBoard = () => {
+        const language = DICTIONARY_LANGUAGES.find(lang => lang.code === scanSettings.language) || DICTIONARY_LANGUAGES[0];
+        const blocklist = scanSettings.blocklist.split(/[\s,]+/).filter(word => word !== '');
+        const scannedGrid = gridCells;
+        setScanResult({ status: 'loading', words: [], languageName: language.name });
+        language.load()
+            .then(dictionaryWords => {
+                setScanResult({
+                    status: 'done',
+                    words: scanBoardForWords(scannedGrid, dictionaryWords, blocklist, enteredWords, letterRule),
+                    languageName: language.name,
+                });
+            })
+            .catch(() => {
+                setScanResult({ status: 'error', words: [], languageName: language.name });
+            });
+    };
+
+    // Event handler for selecting a word.
+    const handleSelectWord = (wordId, wordText, wordColor) => {
+        setPlacementWarning(null);
+        setPathEdit(null); // Placing letters and repairing a path are separate modes.
+        // If the word is already selected, deselect it and clear its letters from the grid.
+        if (selectedWordData.id === wordId) {
+            setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+            // Do not clear cells here, as clearCellsForWord will handle it when needed (e.g., on deselect)
+        } else {
+            // Select the new word.
+            // When a word is selected, we need to find its current letter index and last placed coordinates on the grid.
+            // This allows resuming a sequence if the word was partially placed.
+            let maxSequenceIndex = -1; // Max index of letter from this word already on grid
+            let currentLastPlacedCoords = null;
+
+            // Iterate through the grid to find any existing letters from this word
+            // and determine the highest index placed and its coordinates.
+            for (let r = 0; r < gridCells.length; r++) {
+                for (let c = 0; c < gridCells[r].length; c++) {
+                    const cell = gridCells[r][c];
+                    if (cell && cell.wordId === wordId) {
+                        // Use the sequenceIndex stored in the cell content
+                        if (cell.sequenceIndex > maxSequenceIndex) {
+                            maxSequenceIndex = cell.sequenceIndex;
+                            currentLastPlacedCoords = [r, c];
+                        }
+                    }
+                }
+            }
+
+            // If no letters of this word are currently on the grid, start from index 0.
+            // Otherwise, start from the next letter after the highest sequence index found.
+            const newLetterIndex = maxSequenceIndex === -1 ? 0 : maxSequenceIndex + 1;
+
+            setSelectedWordData({
+                id: wordId,
+                text: wordText.trim(),
+                color: wordColor,
+                letterIndex: newLetterIndex,
+                lastPlacedCoords: currentLastPlacedCoords
+            });
+            // Do not update gridCells here, only when placing/clearing.
+        }
+        setEditMode(null); // Exit edit mode if a word is selected.
+    };
+
+    // Function to find the grid cell under a pointer position. Returns [row, col] or null.
+    const getCellAtPoint = (x, y) => {
+        const element = document.elementFromPoint ? document.elementFromPoint(x, y) : null;
+        const cellElement = element ? element.closest('[data-row]') : null;
+        return cellElement ? [parseInt(cellElement.dataset.row, 10), parseInt(cellElement.dataset.col, 10)] : null;
+    };
+
+    // Event handler for pressing on the grid: starts tracing the selected word from the pressed cell,
+    // or continues it from its last placed letter when that letter is pressed.
+    const handleGridPointerDown = (event) => {
+        suppressNextClick.current = false;
+        if (isPreviewingLayout || !selectedWordData.id || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+        const cellElement = event.target.closest('[data-row]');
+        if (!cellElement) return;
+        const coords = [parseInt(cellElement.dataset.row, 10), parseInt(cellElement.dataset.col, 10)];
+        const { letterIndex, lastPlacedCoords } = selectedWordData;
+        const isLastPlaced = lastPlacedCoords && lastPlacedCoords[0] === coords[0] && lastPlacedCoords[1] === coords[1];
+
+        let cells;
+        if (isLastPlaced) {
+            cells = [];
+        } else if (checkPlacement(gridCells, letterIndex, lastPlacedCoords, coords) === null) {
+            cells = [coords];
+        } else {
+            return; // Leave occupied or unreachable cells to handleCellClick.
+        }
+
+        event.preventDefault();
+        // Keep receiving pointer events while the finger or mouse moves across other cells.
+        if (event.currentTarget.setPointerCapture) {
+            event.currentTarget.setPointerCapture(event.pointerId);
+        }
+        setPlacementWarning(null);
+        setDragTrace({ cells });
+    };
+
+    // Event handler for moving over the grid while tracing: extends the trace to a valid neighboring cell,
+    // or backtracks when the pointer returns to the previous cell of the trace.
+    const handleGridPointerMove = (event) => {
+        if (!dragTrace) return;
+        const coords = getCellAtPoint(event.clientX, event.clientY);
+        if (!coords) return;
+
+        const { cells } = dragTrace;
+        const sameCell = (a, b) => a && b && a[0] === b[0] && a[1] === b[1];
+        const anchor = cells.length > 0 ? cells[cells.length - 1] : selectedWordData.lastPlacedCoords;
+        if (sameCell(coords, anchor)) return;
+
+        // Dragging back over the previous cell removes the last traced letter.
+        const previous = cells.length > 1 ? cells[cells.length - 2] : selectedWordData.lastPlacedCoords;
+        if (cells.length > 0 && sameCell(coords, previous)) {
+            setDragTrace({ cells: cells.slice(0, -1) });
+            return;
+        }
+
+        // Same rules as a click: the word must have letters left, and the cell must be empty and adjacent.
+        const startIndex = selectedWordData.letterIndex;
+        if (startIndex + cells.length >= calculateLetters(selectedWordData.text)) return;
+        const placement = checkPlacement(placeLetters(gridCells, selectedWordData, cells, startIndex, letterRule), startIndex + cells.length, anchor, coords);
+        if (placement === 'crossing') {
+            setPlacementWarning('The traced path would cross another path diagonally.');
+            return;
+        }
+        if (placement !== null) return;
+        setPlacementWarning(null);
+        setDragTrace({ cells: [...cells, coords] });
+    };
+
+    // Event handler for releasing the pointer: places all traced letters as one undoable edit.
+    const handleGridPointerUp = () => {
+        if (!dragTrace) return;
+        const { cells } = dragTrace;
+        setDragTrace(null);
+        if (cells.length === 0) return;
+
+        recordHistory();
+        // Swallow the click the browser sends right after this pointerup. Touch drags send none, so the flag is
+        // cleared once the current event has been handled, to keep it from eating a later click or Enter.
+        suppressNextClick.current = true;
+        setTimeout(() => {
+            suppressNextClick.current = false;
+        }, 0);
+        const startIndex = selectedWordData.letterIndex;
+        setPlacedGridCells(placeLetters(gridCells, selectedWordData, cells, startIndex, letterRule));
+
+        const nextLetterIndex = startIndex + cells.length;
+        if (nextLetterIndex >= calculateLetters(selectedWordData.text)) {
+            setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+        } else {
+            setSelectedWordData(prevData => ({
+                ...prevData,
+                letterIndex: nextLetterIndex,
+                lastPlacedCoords: cells[cells.length - 1]
+            }));
+        }
+    };
+
+    // Event handler for a cancelled pointer (e.g. the browser took over the touch): drops the trace.
+    const handleGridPointerCancel = () => {
+        setDragTrace(null);
+    };
+
+    // Function to describe a cell for screen readers: position, letter, owning word and letter position.
+    const describeCell = (cellContent, rowIndex, colIndex) => {
+        const position = `Row ${rowIndex + 1}, column ${colIndex + 1}`;
+        if (!cellContent) return `${position}, empty`;
+        const word = enteredWords.find(w => w.id === cellContent.wordId);
+        return word
+            ? `${position}, ${cellContent.letter}, letter ${cellContent.sequenceIndex + 1} of ${calculateLetters(word.text)} in "${word.text}"${word.isSpangram ? ' (spangram)' : ''}`
+            : `${position}, ${cellContent.letter}`;
+    };
+
+    // Event handler for keys pressed while the grid has focus: arrow keys (plus Home/End) move the cursor,
+    // Enter/Space act like a click on the cursor cell, 1-9 and [ / ] select words, Escape deselects.
+    const handleGridKeyDown = (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const [row, col] = gridCursor;
+        const moves = {
+            ArrowUp: [Math.max(0, row - 1), col],
+            ArrowDown: [Math.min(boardRows - 1, row + 1), col],
+            ArrowLeft: [row, Math.max(0, col - 1)],
+            ArrowRight: [row, Math.min(boardCols - 1, col + 1)],
+            Home: [row, 0],
+            End: [row, boardCols - 1],
+        };
+
+        if (moves[event.key]) {
+            event.preventDefault();
+            setGridCursor(moves[event.key]);
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            handleCellClick(row, col);
+        } else if (/^[1-9]$/.test(event.key)) {
+            const word = enteredWords[parseInt(event.key, 10) - 1];
+            if (word) {
+                event.preventDefault();
+                handleSelectWord(word.id, word.text, word.color);
+            }
+        } else if ((event.key === '[' || event.key === ']') && enteredWords.length > 0) {
+            event.preventDefault();
+            const currentIndex = enteredWords.findIndex(word => word.id === selectedWordData.id);
+            const step = event.key === ']' ? 1 : -1;
+            const nextIndex = currentIndex === -1
+                ? (step === 1 ? 0 : enteredWords.length - 1)
+                : (currentIndex + step + enteredWords.length) % enteredWords.length;
+            const word = enteredWords[nextIndex];
+            handleSelectWord(word.id, word.text, word.color);
+        } else if (event.key === 'Escape' && pathEdit) {
+            event.preventDefault();
+            setPathEdit(null);
+            setPlacementWarning(null);
+        } else if (event.key === 'Escape' && selectedWordData.id) {
+            event.preventDefault();
+            setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+        }
+    };
+
+    // Event handler for clicking a grid cell.
+    const handleCellClick = (rowIndex, colIndex) => {
+        // A drag that just placed letters ends with a click on the last cell; it was already handled.
+        if (suppressNextClick.current) {
+            suppressNextClick.current = false;
+            return;
+        }
+        // The grid is read-only while a generated layout is being previewed.
+        if (isPreviewingLayout) return;
+        // In path editing mode clicks repair the path of the word being edited.
+        if (pathEditWord) {
+            handlePathEditCellClick(rowIndex, colIndex);
+            return;
+        }
+
+        // Create a deep copy of the gridCells array to ensure immutability.
+        const newGridCells = gridCells.map(row => [...row]);
+        const currentCellContent = newGridCells[rowIndex][colIndex];
+        const { id: selectedWordId, text: selectedWordText, color: selectedColor, letterIndex: currentLetterIndex, lastPlacedCoords } = selectedWordData;
+
+        // Only proceed if a word is currently selected.
+        if (selectedWordId && selectedWordText && selectedColor) {
+            // Check if there are letters left to place.
+            const selectedLetters = getBoardLetters(selectedWordText, letterRule);
+            if (currentLetterIndex >= selectedLetters.length) {
+                // All letters placed, deselect word automatically.
+                setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+                return;
+            }
+
+            const letterToPlace = selectedLetters[currentLetterIndex];
 
             // Case 1: Cell is currently occupied.
             if (currentCellContent) {
                 // If the cell is occupied by the CURRENTLY SELECTED word's letter, then clear it (toggle off).
                 if (currentCellContent.wordId === selectedWordId) {
+                    recordHistory();
                     newGridCells[rowIndex][colIndex] = null;
                     setGridCells(newGridCells); // Update grid immediately after clearing.
 
@@ -271,27 +1864,27 @@ const App = () => {
             }
             // Case 2: Cell is empty. Attempt to place the letter.
             else {
-                // Check if it's the very first letter or a valid neighbor.
-                const isFirstLetter = currentLetterIndex === 0;
-                const isValidPlacement = isFirstLetter || isNeighbor(lastPlacedCoords, [rowIndex, colIndex]);
-
-                if (isValidPlacement) { // letterIndex checked at the very beginning of function
-                    newGridCells[rowIndex][colIndex] = {
-                        letter: letterToPlace,
-                        wordId: selectedWordId,
-                        color: selectedColor,
-                        sequenceIndex: currentLetterIndex, // Store the letter's index in the sequence
-                        row: rowIndex, // Store row index
-                        col: colIndex  // Store column index
-                    };
-                    setGridCells(newGridCells); // Update the gridCells state.
+                // The first letter may go anywhere; later ones next to the previous letter (see checkPlacement).
+                const placement = checkPlacement(gridCells, currentLetterIndex, lastPlacedCoords, [rowIndex, colIndex]);
+
+                // Paths must not cross each other diagonally; reject the step and say why.
+                if (placement === 'crossing') {
+                    setPlacementWarning(`Placing "${letterToPlace}" here would cross another path diagonally.`);
+                    return;
+                }
+                setPlacementWarning(null);
+
+                if (placement === null) { // letterIndex checked at the very beginning of function
+                    recordHistory();
+                    const selectedWord = { id: selectedWordId, text: selectedWordText, color: selectedColor };
+                    setPlacedGridCells(placeLetters(gridCells, selectedWord, [[rowIndex, colIndex]], currentLetterIndex, letterRule));
 
                     // Update the letter index and last placed coordinates for the next placement.
                     const nextLetterIndex = currentLetterIndex + 1;
                     const newLastPlacedCoords = [rowIndex, colIndex];
 
                     // If all letters have been placed, deselect the word.
-                    if (nextLetterIndex >= selectedWordText.length) {
+                    if (nextLetterIndex >= selectedLetters.length) {
                         setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
                         // Removed the Tone.js sound trigger here
                     } else {
@@ -311,30 +1904,14 @@ const App = () => {
 
     // Function to handle the export button click
     const handleExport = () => {
-        // UTF-8 BOM (Byte Order Mark) for better compatibility with Excel and other spreadsheet software.
-        const BOM = "\uFEFF"; // Unicode BOM character
-
-        // Theme and Hint lines without prefixes
-        const themeLine = `${themeText}`;
-        const hintLine = `${hintText}`;
-
-        // Line for comma-separated list of word texts
-        const wordsLine = enteredWords.map(word => word.text).join(',');
-
-        // Line for semicolon-separated list of second-row text from marked cells
-        const gridDataLine = gridCells.flat() // Flatten the 2D array into a 1D array
-            .filter(cellContent => cellContent !== null) // Keep only marked cells
-            .map(cellContent => {
-                // Find the word object to get its original index
-                const wordObj = enteredWords.find(w => w.id === cellContent.wordId);
-                const wordIndex = wordObj ? enteredWords.indexOf(wordObj) : -1;
-                // Reconstruct the second-line text for each cell using stored row and col
-                return `${wordIndex};${cellContent.sequenceIndex};${cellContent.row};${cellContent.col}`;
-            })
-            .join(',');
+        // Failing publish checklist items block the export or ask first, depending on the setting.
+        const failedItems = readiness.filter(item => !item.passed);
+        if (failedItems.length > 0) {
+            if (exportCheckMode === 'block') return;
+            if (!window.confirm(`The puzzle is not ready to publish:\n${failedItems.map(item => `- ${item.label}`).join('\n')}\n\nExport anyway?`)) return;
+        }
 
-        // Combine all lines for the file content
-        const fileContent = `${BOM}${themeLine}\n${hintLine}\n${wordsLine}\n${gridDataLine}`;
+        const fileContent = buildLayoutCsv({ themeText, hintText, letterRule, enteredWords, gridCells });
 
         const blob = new Blob([fileContent], { type: 'text/csv;charset=utf-8' }); // Specify UTF-8 charset
         const url = URL.createObjectURL(blob);
@@ -347,87 +1924,481 @@ const App = () => {
         URL.revokeObjectURL(url); // Release the object URL
     };
 
-    // useEffect hook to update placedWordIds whenever gridCells change
-    useEffect(() => {
-        const currentPlacedIds = new Set();
-        gridCells.forEach(row => {
-            row.forEach(cell => {
-                if (cell && cell.wordId) {
-                    currentPlacedIds.add(cell.wordId);
-                }
-            });
+    // Event handler for the "Save Project" button: downloads the whole puzzle as a versioned JSON project file.
+    const handleSaveProject = () => {
+        const fileContent = serializeProject({
+            themeText,
+            hintText,
+            letterRule,
+            enteredWords,
+            gridCells,
+            name: currentDraft ? currentDraft.name : '',
+            playtests: playtestResults,
+            publishDate: currentDraft ? currentDraft.publishDate : '',
+            status: currentDraft ? currentDraft.status : 'draft',
+            author: currentDraft ? currentDraft.author : '',
         });
-        setPlacedWordIds(currentPlacedIds);
-    }, [gridCells]);
+        // Name the file after the draft, keeping letters of any script but dropping characters file systems reject.
+        const baseName = (currentDraft ? getDraftTitle(currentDraft) : 'puzzle').replace(/[\\/:*?"<>|]+/g, '').trim() || 'puzzle';
 
-    // useEffect hook to re-calculate the total letter count whenever 'enteredWords' changes.
-    useEffect(() => {
-        // Iterate through all entered words and sum up their letter counts using the helper function.
-        const newTotal = enteredWords.reduce((sum, word) => sum + calculateLetters(word.text), 0);
-        setTotalLetterCount(newTotal); // Update the 'totalLetterCount' state.
-    }, [enteredWords]); // This effect runs only when 'enteredWords' array changes.
+        downloadBlob(new Blob([fileContent], { type: 'application/json;charset=utf-8' }), `${baseName}.strands.json`);
+    };
 
-    return (
-        <>
-            {/* Global Styles */}
-            <style>
-                {`
-                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap');
+    // Event handler for the "SVG" sheet button: downloads the chosen sheet variant as an SVG file.
+    const handleExportSheetSvg = () => {
+        const { svg } = buildPuzzleSheetSvg({ themeText, hintText, enteredWords, gridCells }, sheetVariant);
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), `strands_${sheetVariant === 'answer' ? 'answer_key' : 'puzzle'}.svg`);
+    };
 
-                body {
-                    margin: 0;
-                    font-family: 'Inter', sans-serif;
-                    -webkit-font-smoothing: antialiased;
-                    -moz-osx-font-smoothing: grayscale;
+    // Event handler for the "PNG" sheet button: rasterizes the SVG sheet at twice its size and downloads it.
+    const handleExportSheetPng = () => {
+        const { svg, width, height } = buildPuzzleSheetSvg({ themeText, hintText, enteredWords, gridCells }, sheetVariant);
+        const fileName = `strands_${sheetVariant === 'answer' ? 'answer_key' : 'puzzle'}.png`;
+        const svgUrl = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+        const pngError = 'The sheet could not be made into a PNG image in this browser. Download it as SVG or print it instead.';
+        setSheetError(null);
+        const image = new Image();
+        image.onload = () => {
+            const scale = 2; // Sharp enough to read when shared in chat or printed.
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(svgUrl);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    downloadBlob(blob, fileName);
+                } else {
+                    setSheetError(pngError);
                 }
+            }, 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(svgUrl);
+            setSheetError(pngError);
+        };
+        image.src = svgUrl;
+    };
 
-                .app-container {
-                    min-height: 100vh;
-                    display: flex;
-                    flex-direction: column;
-                    align-items: center;
-                    justify-content: center;
-                    background-color: #f3f4f6; /* bg-gray-100 */
-                    padding: 1rem; /* p-4 */
-                }
+    // Event handler for the "Print" sheet button. The print stylesheet shows only the sheet (see .print-sheet).
+    const handlePrintSheet = () => {
+        window.print();
+    };
 
-                @media (min-width: 1024px) { /* lg breakpoint */
-                    .app-container {
-                        flex-direction: row;
-                        align-items: flex-start;
-                        justify-content: center;
-                        gap: 2rem; /* space-x-8 */
-                    }
-                }
+    // Function to replace the puzzle being edited with the given one and make it the current draft.
+    const loadPuzzle = (draftId, puzzle) => {
+        setCurrentDraftId(draftId);
+        setThemeText(puzzle.themeText);
+        setHintText(puzzle.hintText);
+        setLetterRule(puzzle.letterRule || 'none'); // Drafts saved before letter rules existed used the letters as typed.
+        setEnteredWords(puzzle.enteredWords);
+        setGridCells(puzzle.gridCells);
+        setSelectedWordData({ id: null, text: null, color: null, letterIndex: 0, lastPlacedCoords: null });
+        setEditMode(null);
+        setEditedWordText('');
+        setCurrentWord('');
+        resetHistory(); // Undo must not reach back into a different puzzle.
+    };
 
-                .panel {
-                    background-color: #ffffff; /* bg-white */
-                    padding: 2rem; /* p-8 */
-                    border-radius: 0.75rem; /* rounded-xl */
-                    box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05); /* shadow-lg */
-                    width: 100%; /* w-full */
-                    max-width: 28rem; /* max-w-md */
-                    margin-bottom: 2rem; /* space-y-8 on small screens */
-                }
+    // Event handler for the "New Puzzle" button in the library; starts an empty draft.
+    const handleNewDraft = () => {
+        loadPuzzle(crypto.randomUUID(), {
+            themeText: '',
+            hintText: '',
+            letterRule, // Keep the letter rule and the board size of the current puzzle.
+            enteredWords: [],
+            gridCells: createEmptyGrid(boardRows, boardCols),
+        });
+    };
 
-                @media (min-width: 1024px) { /* lg breakpoint */
-                    .panel {
-                        width: 50%; /* lg:w-1/2 */
-                        margin-bottom: 0; /* remove margin-bottom on large screens */
-                    }
-                }
+    // Event handler for opening a draft from the library.
+    const handleOpenDraft = (draftId) => {
+        const draft = drafts.find(d => d.id === draftId);
+        if (draft) {
+            loadPuzzle(draft.id, draft);
+        }
+    };
 
-                .title {
-                    font-size: 0.9375rem; /* 50% of 1.875rem (text-3xl) */
-                    font-weight: 700; /* font-bold */
-                    text-align: center; /* text-center */
-                    color: #1f2937; /* text-gray-800 */
-                    margin-bottom: 0.75rem; /* Reduced from 1.5rem */
-                }
+    // Event handler for duplicating a draft in the library. The copy is added but not opened.
+    const handleDuplicateDraft = (draftId) => {
+        const draft = drafts.find(d => d.id === draftId);
+        if (draft) {
+            // The copy is not scheduled: two puzzles on the same day would clash.
+            const copy = { ...draft, id: crypto.randomUUID(), name: `${getDraftTitle(draft)} (copy)`, publishDate: '', status: 'draft', updatedAt: Date.now() };
+            setDrafts(prevDrafts => [...prevDrafts, copy]);
+        }
+    };
 
-                .input-group {
-                    margin-bottom: 0.75rem; /* Reduced from 1.5rem */
-                }
+    // Event handler for clicking 'Rename' on a draft in the library.
+    const handleRenameDraftClick = (draftId) => {
+        const draft = drafts.find(d => d.id === draftId);
+        setRenamingDraftId(draftId);
+        setRenameText(draft ? getDraftTitle(draft) : '');
+    };
+
+    // Event handler for saving a draft's new name. An empty name falls back to the theme.
+    const handleSaveRename = (draftId) => {
+        setDrafts(prevDrafts => prevDrafts.map(draft =>
+            draft.id === draftId ? { ...draft, name: renameText.trim(), updatedAt: Date.now() } : draft
+        ));
+        setRenamingDraftId(null);
+        setRenameText('');
+    };
+
+    // Event handler for changes made in the collection view (publish date, status or author of a draft).
+    const handleUpdateDraft = (draftId, changes) => {
+        setDrafts(prevDrafts => prevDrafts.map(draft =>
+            draft.id === draftId ? { ...draft, ...changes, updatedAt: Date.now() } : draft
+        ));
+    };
+
+    // Event handler for "Open" in the collection view: opens the draft and goes back to the editor.
+    const handleOpenCollectionDraft = (draftId) => {
+        handleOpenDraft(draftId);
+        setIsCollectionOpen(false);
+    };
+
+    // Event handler for deleting a draft from the library.
+    // Deleting the draft being edited starts a fresh empty puzzle.
+    const handleDeleteDraft = (draftId) => {
+        const draft = drafts.find(d => d.id === draftId);
+        if (!draft || !window.confirm(`Delete "${getDraftTitle(draft)}"? This cannot be undone.`)) return;
+
+        setDrafts(prevDrafts => prevDrafts.filter(d => d.id !== draftId));
+        if (draftId === currentDraftId) {
+            handleNewDraft();
+        }
+    };
+
+    // Event handler for the "Open Layout" button; opens the file picker.
+    const handleOpenLayoutClick = () => {
+        layoutFileInputRef.current.click();
+    };
+
+    // Event handler for when a layout file has been chosen in the file picker.
+    const handleLayoutFileChange = (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow choosing the same file again later.
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            // Project files are JSON objects; anything else is treated as a strands_layout.csv.
+            const isProjectFile = /\.json$/i.test(file.name) || reader.result.replace(/^\uFEFF/, '').trimStart().startsWith('{');
+            const layout = isProjectFile ? parseProjectJson(reader.result) : parseLayoutCsv(reader.result);
+            if (layout.errors.length > 0) {
+                // Keep the current puzzle untouched and report what is wrong with the file.
+                setImportErrors(layout.errors);
+                return;
+            }
+
+            // An opened file becomes a new draft instead of overwriting the one being edited.
+            const puzzle = {
+                themeText: layout.themeText,
+                hintText: layout.hintText,
+                letterRule: layout.letterRule || 'none', // CSV files hold the board letters already.
+                enteredWords: layout.words,
+                gridCells: layout.gridCells,
+            };
+            const draftId = crypto.randomUUID();
+            if (layout.metadata) {
+                // Add the draft right away so that the name and playtests saved in a project file come along.
+                setDrafts(prevDrafts => [...prevDrafts, { id: draftId, ...puzzle, ...layout.metadata, updatedAt: Date.now() }]);
+            }
+            loadPuzzle(draftId, puzzle);
+            setImportErrors([]);
+        };
+        reader.onerror = () => {
+            setImportErrors([`Could not read "${file.name}".`]);
+        };
+        reader.readAsText(file, 'utf-8');
+    };
+
+    // useEffect hook to autosave the current puzzle into the draft library whenever it changes.
+    useEffect(() => {
+        setDrafts(prevDrafts => {
+            const existing = prevDrafts.find(draft => draft.id === currentDraftId);
+            const isEmpty = themeText === '' && hintText === '' && enteredWords.length === 0;
+            // Don't clutter the library with puzzles nobody has started yet.
+            if (!existing && isEmpty) return prevDrafts;
+            // Opening a draft sets the same content again; keep its modification time in that case.
+            if (existing &&
+                existing.themeText === themeText &&
+                existing.hintText === hintText &&
+                (existing.letterRule || 'none') === letterRule &&
+                JSON.stringify(existing.enteredWords) === JSON.stringify(enteredWords) &&
+                JSON.stringify(existing.gridCells) === JSON.stringify(gridCells)) {
+                return prevDrafts;
+            }
+
+            const draft = {
+                ...existing, // Keeps fields that are not part of the editor state, such as playtest results.
+                id: currentDraftId,
+                name: existing ? existing.name : '',
+                themeText,
+                hintText,
+                letterRule,
+                enteredWords,
+                gridCells,
+                updatedAt: Date.now(),
+            };
+            return existing
+                ? prevDrafts.map(d => (d.id === currentDraftId ? draft : d))
+                : [...prevDrafts, draft];
+        });
+    }, [currentDraftId, themeText, hintText, letterRule, enteredWords, gridCells]);
+
+    // useEffect hook to write the draft library to localStorage whenever it changes.
+    useEffect(() => {
+        const saved = saveDrafts(drafts);
+        if (saved) savedDraftIds.current = new Set(drafts.map(draft => draft.id));
+        setStorageError(!saved);
+    }, [drafts]);
+
+    // useEffect hook to take in drafts created, edited or deleted in other tabs, so that saving here does not
+    // overwrite them. The browser fires 'storage' only in the tabs that did not make the change.
+    useEffect(() => {
+        const onStorage = (event) => {
+            if (event.key !== DRAFTS_STORAGE_KEY && event.key !== null) return; // null: storage was cleared.
+            const storedDrafts = loadDrafts();
+            setStorageReadError(storedDrafts === null);
+            if (!storedDrafts) return;
+            const savedIds = savedDraftIds.current;
+            savedDraftIds.current = new Set(storedDrafts.map(draft => draft.id));
+            setDrafts(prevDrafts => mergeDrafts(prevDrafts, storedDrafts, savedIds));
+        };
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    }, []);
+
+    // Results of earlier playtests of the current draft.
+    const currentDraft = drafts.find(draft => draft.id === currentDraftId);
+    const playtestResults = currentDraft && currentDraft.playtests ? currentDraft.playtests : [];
+
+    // Pairs of path segments that cross each other diagonally, drawn over the grid.
+    const crossings = findCrossings(gridCells);
+
+    // Sizes offered in the board size selectors.
+    const boardSizeOptions = Array.from({ length: MAX_BOARD_SIZE - MIN_BOARD_SIZE + 1 }, (_, index) => MIN_BOARD_SIZE + index);
+
+    // Whether the grid is showing a generated layout instead of gridCells.
+    const isPreviewingLayout = Boolean(generatorResult && generatorResult.solutions.length > 0);
+    // Letters of the word being traced by dragging, shown on the grid before they are placed.
+    const tracedGridCells = dragTrace ? placeLetters(gridCells, selectedWordData, dragTrace.cells, selectedWordData.letterIndex, letterRule) : null;
+    // The cells rendered in the grid: the previewed layout, the traced word, or the puzzle being edited.
+    const displayedGridCells = isPreviewingLayout ? generatorResult.solutions[generatorResult.index] : (tracedGridCells || gridCells);
+    // Points of the live preview line while tracing: the last placed letter (if any) followed by the traced cells.
+    const tracePoints = dragTrace
+        ? [...(selectedWordData.lastPlacedCoords ? [selectedWordData.lastPlacedCoords] : []), ...dragTrace.cells]
+        : [];
+
+    // Cells of the highlighted alternate route, keyed "row-col" with the letter's position in the route.
+    const highlightedCells = new Map();
+    if (ambiguityReport && highlightedRoute) {
+        const reportWord = ambiguityReport.words.find(word => word.wordId === highlightedRoute.wordId);
+        reportWord.routes[highlightedRoute.routeIndex].forEach(([r, c], position) => {
+            highlightedCells.set(`${r}-${c}`, position);
+        });
+    }
+
+    // Result of the spangram checks, shown below the grid.
+    const spangramValidation = validateSpangram(enteredWords, gridCells, letterRule);
+
+    // The word whose path is being edited (null when path editing is off or the word was deleted),
+    // its board letters and its placed cells by letter index.
+    const pathEditWord = pathEdit ? enteredWords.find(word => word.id === pathEdit.wordId) || null : null;
+    const pathEditLetters = pathEditWord ? getBoardLetters(pathEditWord.text, letterRule) : [];
+    const pathEditSlots = pathEditWord ? getPathSlots(gridCells, pathEditWord.id, pathEditLetters.length) : [];
+    const pathEditGaps = findPathGaps(pathEditSlots);
+
+    // Gaps in every word's path by word ID, and the cells on either side of a gap, which are outlined on the grid.
+    const pathGapsById = new Map();
+    const gapEdgeCells = new Set();
+    enteredWords.forEach(word => {
+        const slots = getPathSlots(gridCells, word.id, calculateLetters(word.text));
+        const gaps = findPathGaps(slots);
+        if (gaps.length === 0) return;
+        pathGapsById.set(word.id, gaps);
+        gaps.forEach(index => [slots[index - 1], slots[index + 1]].forEach(cell => {
+            if (cell) gapEdgeCells.add(`${cell.row}-${cell.col}`);
+        }));
+    });
+
+    // The chosen palette, and which words touch which on the board (for the color pickers' warnings).
+    const wordPalette = WORD_PALETTES.find(palette => palette.id === wordPaletteId);
+    const touchingWords = findTouchingWords(gridCells);
+
+    // Words parsed from the bulk entry text, and how many of them would be added.
+    const bulkPreview = bulkText ? parseWordList(bulkText, enteredWords, letterRule) : [];
+    const bulkNewCount = bulkPreview.filter(entry => entry.status === 'new').length;
+
+    // Publish checklist for the puzzle being edited.
+    const readiness = evaluateReadiness({ themeText, hintText, enteredWords, gridCells, letterRule });
+    const isReadyToPublish = readiness.every(item => item.passed);
+
+    // Difficulty estimate of the layout on the grid (of the previewed one while a generated layout is shown).
+    const difficulty = evaluateDifficulty({ enteredWords, gridCells: isPreviewingLayout ? displayedGridCells : gridCells, letterRule });
+    // IDs of the words flagged as the spangram, used for styling their cells.
+    const spangramWordIds = new Set(enteredWords.filter(word => word.isSpangram).map(word => word.id));
+
+    // Ref to the latest keyboard shortcut handler, so the window listener below is registered only once
+    // but always sees the current undo/redo stacks.
+    const historyKeyHandler = useRef(null);
+    historyKeyHandler.current = (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || isPlaytesting) return;
+        // Leave text fields that are not part of the history (word entry, rename, bulk entry, blocklist)
+        // to the browser's own undo.
+        const target = event.target;
+        if (target.tagName === 'INPUT' && target.id !== 'themeInput' && target.id !== 'hintInput') return;
+        if (target.tagName === 'TEXTAREA' || target.isContentEditable) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            handleUndo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            handleRedo();
+        }
+    };
+
+    // useEffect hook to bind Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) to undo and redo.
+    useEffect(() => {
+        const onKeyDown = (event) => historyKeyHandler.current(event);
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, []);
+
+    // useEffect hook to drop generated layouts and the ambiguity report once the words or the grid change,
+    // as they no longer match.
+    useEffect(() => {
+        setGeneratorResult(null);
+        setAmbiguityReport(null);
+        setHighlightedRoute(null);
+        setScanResult(null);
+        setShareLinks(null);
+    }, [enteredWords, gridCells]);
+
+    // useEffect hook to open a share link on load and whenever a link is pasted into the address bar of this tab.
+    useEffect(() => {
+        const onHashChange = () => shareLinkHandler.current();
+        onHashChange();
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, []);
+
+    // useEffect hook to remember the chosen palette between sessions.
+    useEffect(() => {
+        safeSetItem(WORD_PALETTE_STORAGE_KEY, wordPaletteId);
+    }, [wordPaletteId]);
+
+    // useEffect hook to remember the export check setting between sessions.
+    useEffect(() => {
+        safeSetItem(EXPORT_CHECK_STORAGE_KEY, exportCheckMode);
+    }, [exportCheckMode]);
+
+    // useEffect hook to remember the dictionary scan language and blocklist between sessions.
+    useEffect(() => {
+        safeSetItem(SCAN_SETTINGS_STORAGE_KEY, JSON.stringify(scanSettings));
+    }, [scanSettings]);
+
+    // useEffect hook to keep the keyboard cursor on the board after it is resized.
+    useEffect(() => {
+        setGridCursor(([row, col]) => [Math.min(row, boardRows - 1), Math.min(col, boardCols - 1)]);
+    }, [boardRows, boardCols]);
+
+    // useEffect hook to move focus along with the keyboard cursor while the grid has focus.
+    useEffect(() => {
+        const container = gridContainerRef.current;
+        if (container && container.contains(document.activeElement)) {
+            const cell = container.querySelector(`[data-row="${gridCursor[0]}"][data-col="${gridCursor[1]}"]`);
+            if (cell && cell !== document.activeElement) cell.focus();
+        }
+    }, [gridCursor]);
+
+    // useEffect hook to update placedWordIds whenever gridCells change
+    useEffect(() => {
+        const currentPlacedIds = new Set();
+        gridCells.forEach(row => {
+            row.forEach(cell => {
+                if (cell && cell.wordId) {
+                    currentPlacedIds.add(cell.wordId);
+                }
+            });
+        });
+        setPlacedWordIds(currentPlacedIds);
+    }, [gridCells]);
+
+    // useEffect hook to re-calculate the total letter count whenever 'enteredWords' changes.
+    useEffect(() => {
+        // Iterate through all entered words and sum up their letter counts using the helper function.
+        const newTotal = enteredWords.reduce((sum, word) => sum + splitLetters(word.text, letterRule).length, 0);
+        setTotalLetterCount(newTotal); // Update the 'totalLetterCount' state.
+    }, [enteredWords, letterRule]); // This effect runs only when 'enteredWords' array or the letter rule changes.
+
+    return (
+        <>
+            {/* Global Styles */}
+            <style>
+                {`
+                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap');
+
+                body {
+                    margin: 0;
+                    font-family: 'Inter', sans-serif;
+                    -webkit-font-smoothing: antialiased;
+                    -moz-osx-font-smoothing: grayscale;
+                }
+
+                .app-container {
+                    min-height: 100vh;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    justify-content: center;
+                    background-color: #f3f4f6; /* bg-gray-100 */
+                    padding: 1rem; /* p-4 */
+                }
+
+                @media (min-width: 1024px) { /* lg breakpoint */
+                    .app-container {
+                        flex-direction: row;
+                        align-items: flex-start;
+                        justify-content: center;
+                        gap: 2rem; /* space-x-8 */
+                    }
+                }
+
+                .panel {
+                    background-color: #ffffff; /* bg-white */
+                    padding: 2rem; /* p-8 */
+                    border-radius: 0.75rem; /* rounded-xl */
+                    box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05); /* shadow-lg */
+                    width: 100%; /* w-full */
+                    max-width: 28rem; /* max-w-md */
+                    margin-bottom: 2rem; /* space-y-8 on small screens */
+                }
+
+                @media (min-width: 1024px) { /* lg breakpoint */
+                    .panel {
+                        width: 50%; /* lg:w-1/2 */
+                        margin-bottom: 0; /* remove margin-bottom on large screens */
+                    }
+                }
+
+                .title {
+                    font-size: 0.9375rem; /* 50% of 1.875rem (text-3xl) */
+                    font-weight: 700; /* font-bold */
+                    text-align: center; /* text-center */
+                    color: #1f2937; /* text-gray-800 */
+                    margin-bottom: 0.75rem; /* Reduced from 1.5rem */
+                }
+
+                .input-group {
+                    margin-bottom: 0.75rem; /* Reduced from 1.5rem */
+                }
 
                 .label {
                     display: block; /* block */
@@ -544,6 +2515,18 @@ const App = () => {
                     color: #1e40af; /* text-blue-800 */
                 }
 
+                .info-box-red {
+                    background-color: #fef2f2; /* bg-red-50 */
+                    border-color: #ef4444; /* border-red-500 */
+                    color: #991b1b; /* text-red-800 */
+                }
+
+                .info-box-list {
+                    margin: 0.5rem 0 0 0;
+                    padding-left: 1.25rem;
+                    font-size: 0.875rem; /* text-sm */
+                }
+
                 .info-box-text {
                     font-size: 1rem; /* Reduced from 1.125rem */
                     font-weight: 500; /* font-medium */
@@ -582,6 +2565,7 @@ const App = () => {
                     display: flex; /* flex */
                     align-items: center; /* items-center */
                     justify-content: space-between; /* justify-between */
+                    flex-wrap: wrap; /* lets the color picker take a row of its own */
                     background-color: #ffffff; /* bg-white */
                     padding: 0.75rem; /* p-3 */
                     border-radius: 0.5rem; /* rounded-lg */
@@ -589,134 +2573,840 @@ const App = () => {
                     border: 1px solid #f3f4f6; /* border border-gray-100 */
                 }
 
-                .word-list-item.selected {
-                    border-color: #22c55e; /* border-green-500 */
-                    box-shadow: 0 0 0 2px rgba(34, 197, 94, 0.3); /* ring-2 ring-green-300 */
+                .word-list-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    flex-wrap: wrap;
+                    gap: 0.5rem;
+                }
+
+                .palette-select {
+                    width: auto;
+                    margin-left: 0.5rem; /* ml-2 */
+                    padding: 0.25rem 0.5rem;
+                }
+
+                .color-swatch {
+                    width: 1.75rem; /* w-7 */
+                    height: 1.75rem; /* h-7 */
+                    margin-right: 0.5rem; /* mr-2 */
+                    border: 2px solid #ffffff;
+                    border-radius: 9999px; /* rounded-full */
+                    box-shadow: 0 0 0 1px #d1d5db; /* ring-1 ring-gray-300 */
+                    font-size: 0.75rem; /* text-xs */
+                    font-weight: 700; /* font-bold */
+                    cursor: pointer;
+                }
+
+                .color-swatch[aria-pressed="true"] {
+                    box-shadow: 0 0 0 2px #1f2937; /* ring-2 ring-gray-800 */
+                }
+
+                .color-picker {
+                    flex-basis: 100%;
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 0.25rem 0; /* gap-y-1 */
+                    margin-top: 0.5rem; /* mt-2 */
+                    padding-top: 0.5rem; /* pt-2 */
+                    border-top: 1px solid #f3f4f6; /* border-t border-gray-100 */
+                }
+
+                .color-picker-custom {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.25rem;
+                    margin-right: 0.5rem; /* mr-2 */
+                    font-size: 0.875rem; /* text-sm */
+                    color: #4b5563; /* text-gray-600 */
+                }
+
+                .color-picker-notes {
+                    flex-basis: 100%;
+                    margin: 0.25rem 0 0 0;
+                }
+
+                .word-list-item.dragging {
+                    opacity: 0.5; /* opacity-50 */
+                }
+
+                .word-list-item.drop-target {
+                    border-color: #3b82f6; /* border-blue-500 */
+                    border-style: dashed;
+                }
+
+                .drag-handle {
+                    margin-right: 0.5rem; /* mr-2 */
+                    padding: 0 0.25rem;
+                    border: none;
+                    background: none;
+                    color: #9ca3af; /* text-gray-400 */
+                    font-size: 1.25rem; /* text-xl */
+                    cursor: grab;
+                }
+
+                .drag-handle:focus {
+                    outline: 2px solid #3b82f6; /* focus:ring-blue-500 */
+                    border-radius: 0.25rem;
+                }
+
+                .word-list-item.selected {
+                    border-color: #22c55e; /* border-green-500 */
+                    box-shadow: 0 0 0 2px rgba(34, 197, 94, 0.3); /* ring-2 ring-green-300 */
+                }
+
+                .word-text-display {
+                    font-weight: 500; /* font-medium */
+                    font-size: 1.125rem; /* text-lg */
+                    display: flex;
+                    align-items: center;
+                }
+
+                .word-placed-indicator {
+                    margin-right: 0.5rem; /* mr-2 */
+                    color: #16a34a; /* text-green-600 */
+                    font-size: 1.5rem; /* text-xl */
+                    font-weight: 700; /* font-bold */
+                }
+
+                .word-list-item.spangram {
+                    background-color: #fefce8; /* bg-yellow-50 */
+                    border-color: #facc15; /* border-yellow-400 */
+                }
+
+                .spangram-badge {
+                    margin-left: 0.5rem; /* ml-2 */
+                    padding: 0.125rem 0.5rem;
+                    border-radius: 9999px; /* rounded-full */
+                    background-color: #facc15; /* bg-yellow-400 */
+                    color: #713f12; /* text-yellow-900 */
+                    font-size: 0.75rem; /* text-xs */
+                    font-weight: 700; /* font-bold */
+                    text-transform: uppercase;
+                }
+
+                .lock-badge {
+                    margin-left: 0.5rem; /* ml-2 */
+                    padding: 0.125rem 0.5rem;
+                    border-radius: 9999px; /* rounded-full */
+                    background-color: #e5e7eb; /* bg-gray-200 */
+                    color: #374151; /* text-gray-700 */
+                    font-size: 0.75rem; /* text-xs */
+                    font-weight: 700; /* font-bold */
+                    text-transform: uppercase;
+                }
+
+                .word-actions {
+                    display: flex; /* flex */
+                    gap: 0.5rem; /* space-x-2 */
+                }
+
+                .edit-input-field {
+                    flex-grow: 1; /* flex-grow */
+                    padding: 0.5rem; /* p-2 */
+                    border: 1px solid #d1d5db; /* border border-gray-300 */
+                    border-radius: 0.5rem; /* rounded-lg */
+                    outline: none; /* focus:outline-none */
+                    transition: all 0.2s ease-in-out;
+                }
+                .edit-input-field:focus {
+                    box-shadow: 0 0 0 1px rgba(147, 51, 234, 0.5); /* focus:ring-1 focus:ring-purple-500 */
+                }
+
+                .library-container {
+                    background-color: #f9fafb; /* bg-gray-50 */
+                    border: 1px solid #e5e7eb; /* border border-gray-200 */
+                    border-radius: 0.375rem; /* rounded-md */
+                    padding: 1rem; /* p-4 */
+                    margin-top: 1rem; /* mt-4 */
+                }
+
+                .library-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    margin-bottom: 0.75rem; /* mb-3 */
+                }
+
+                .library-header .word-list-title {
+                    margin: 0;
+                }
+
+                .library-list {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.5rem; /* space-y-2 */
+                }
+
+                .library-item {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.5rem;
+                    background-color: #ffffff; /* bg-white */
+                    padding: 0.75rem; /* p-3 */
+                    border-radius: 0.5rem; /* rounded-lg */
+                    border: 1px solid #f3f4f6; /* border border-gray-100 */
+                }
+
+                .library-item.current {
+                    border-color: #2563eb; /* border-blue-600 */
+                }
+
+                .library-item-title {
+                    font-weight: 600; /* font-semibold */
+                    color: #1f2937; /* text-gray-800 */
+                }
+
+                .library-item-meta {
+                    font-size: 0.75rem; /* text-xs */
+                    color: #6b7280; /* text-gray-500 */
+                }
+
+                .toolbar {
+                    display: flex;
+                    justify-content: center;
+                    gap: 0.5rem; /* space-x-2 */
+                    margin-bottom: 0.75rem; /* mb-3 */
+                }
+
+                .toolbar .button {
+                    padding: 0.5rem 1rem; /* py-2 px-4 */
+                    font-size: 0.875rem; /* text-sm */
+                }
+
+                .button:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                    transform: none;
+                }
+
+                .generator-box {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 0.5rem;
+                    flex-wrap: wrap;
+                }
+
+                .generator-box .button {
+                    padding: 0.5rem 1rem; /* py-2 px-4 */
+                    font-size: 0.875rem; /* text-sm */
+                }
+
+                .board-size-controls {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 0.5rem; /* space-x-2 */
+                    margin-bottom: 0.75rem; /* mb-3 */
+                }
+
+                .board-size-controls .label {
+                    margin-bottom: 0;
+                }
+
+                .board-size-select {
+                    padding: 0.25rem 0.5rem;
+                    border: 1px solid #d1d5db; /* border border-gray-300 */
+                    border-radius: 0.375rem; /* rounded-md */
+                    background-color: #ffffff;
+                }
+
+                .grid-info-box {
+                    margin-bottom: 1rem; /* mb-4 */
+                    padding: 0.75rem; /* p-3 */
+                    border-radius: 0.375rem; /* rounded-md */
+                    text-align: center; /* text-center */
+                    font-size: 1.125rem; /* text-lg */
+                    font-weight: 500; /* font-medium */
+                    transition: all 0.3s; /* transition-colors duration-300 */
+                }
+
+                .grid-info-box.active {
+                    background-color: #f0fdf4; /* bg-green-100 */
+                    color: #166534; /* text-green-800 */
+                    border: 1px solid #22c55e; /* border border-green-300 */
+                }
+
+                .grid-info-box.inactive {
+                    background-color: #f3f4f6; /* bg-gray-100 */
+                    color: #4b5563; /* text-gray-600 */
+                    border: 1px solid #e5e7eb; /* border border-gray-200 */
+                }
+
+
+                .grid-container {
+                    display: grid; /* grid */
+                    /* grid-template-columns is set inline from the board size */
+                    justify-content: center;
+                    gap: 0.25rem; /* gap-1 */
+                    padding: 0.5rem; /* p-2 */
+                    border: 1px solid #d1d5db; /* border border-gray-300 */
+                    border-radius: 0.5rem; /* rounded-lg */
+                    touch-action: none; /* dragging across the grid traces a word instead of scrolling */
+                }
+
+                .grid-cell {
+                    width: 100%; /* fills its column, at most 3rem wide */
+                    aspect-ratio: 1 / 1; /* square cells, 3rem on the classic board */
+                    display: flex; /* flex */
+                    flex-direction: column; /* flex-col */
+                    align-items: center; /* items-center */
+                    justify-content: center; /* justify-center */
+                    font-size: 1.125rem; /* text-lg */
+                    font-weight: 700; /* font-bold */
+                    border: 1px solid #d1d5db; /* border border-gray-300 */
+                    border-radius: 0.375rem; /* rounded-md */
+                    cursor: pointer; /* cursor-pointer */
+                    user-select: none; /* select-none */
+                    transition: background-color 0.2s ease-in-out, filter 0.2s ease-in-out; /* transition-colors duration-200 ease-in-out */
+                    color: #4b5563; /* text-gray-700 default */
+                    background-color: #e2e8f0; /* Default gray-200 */
+                }
+
+                .grid-cell.marked {
+                    color: #ffffff; /* text-white */
+                }
+
+                .grid-cell:hover {
+                    filter: brightness(0.9); /* hover:brightness-90 */
+                }
+
+                .grid-cell.spangram {
+                    box-shadow: inset 0 0 0 3px #facc15; /* ring-inset ring-yellow-400 */
+                }
+
+                .grid-cell.alternate-route {
+                    outline: 3px dashed #dc2626; /* red-600 */
+                    outline-offset: -3px;
+                }
+
+                .ambiguity-list {
+                    list-style: none;
+                    margin: 0.5rem 0 0 0;
+                    padding: 0;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.375rem;
+                    font-size: 0.875rem; /* text-sm */
+                }
+
+                .ambiguity-list li {
+                    display: flex;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 0.375rem;
+                }
+
+                .route-button {
+                    padding: 0.125rem 0.5rem;
+                    font-size: 0.75rem; /* text-xs */
+                    border-radius: 0.375rem; /* rounded-md */
+                    border: 1px solid #dc2626; /* border-red-600 */
+                    background-color: #ffffff;
+                    color: #dc2626; /* text-red-600 */
+                    cursor: pointer;
+                }
+
+                .route-button.active {
+                    background-color: #dc2626; /* bg-red-600 */
+                    color: #ffffff;
+                }
+
+                .grid-row {
+                    display: contents; /* rows exist for assistive tech only; cells are placed by the grid */
+                }
+
+                .grid-cell:focus {
+                    outline: 3px solid #2563eb; /* blue-600 */
+                    outline-offset: 1px;
+                }
+
+                .grid-keyboard-hint {
+                    font-size: 0.75rem; /* text-xs */
+                    color: #6b7280; /* text-gray-500 */
+                    text-align: center;
+                    margin: 0 0 0.5rem 0;
+                }
+
+                .playtest-panel {
+                    max-width: 32rem;
+                }
+
+                .playtest-header {
+                    text-align: center;
+                    background-color: #e0f2fe; /* bg-sky-100 */
+                    border-radius: 0.5rem; /* rounded-lg */
+                    padding: 0.75rem; /* p-3 */
+                    margin-bottom: 0.75rem; /* mb-3 */
+                }
+
+                .playtest-theme-label {
+                    margin: 0;
+                    font-size: 0.75rem; /* text-xs */
+                    text-transform: uppercase;
+                    color: #0369a1; /* text-sky-700 */
+                }
+
+                .playtest-theme {
+                    margin: 0.25rem 0 0 0;
+                    font-size: 1.25rem; /* text-xl */
+                    font-weight: 700; /* font-bold */
+                    color: #1f2937; /* text-gray-800 */
+                }
+
+                .playtest-hint {
+                    margin: 0.25rem 0 0 0;
+                    font-size: 0.875rem; /* text-sm */
+                    color: #4b5563; /* text-gray-600 */
+                }
+
+                .playtest-stats {
+                    display: flex;
+                    justify-content: space-between;
+                    font-size: 0.875rem; /* text-sm */
+                    color: #374151; /* text-gray-700 */
+                    margin-bottom: 0.75rem; /* mb-3 */
+                }
+
+                .playtest-trace {
+                    min-height: 1.75rem;
+                    text-align: center;
+                    font-size: 1.25rem; /* text-xl */
+                    font-weight: 700; /* font-bold */
+                    letter-spacing: 0.1em;
+                    color: #1f2937; /* text-gray-800 */
+                    margin-bottom: 0.5rem; /* mb-2 */
+                }
+
+                .grid-cell.playtest-cell {
+                    border-radius: 9999px; /* round letters, like the game */
+                    background-color: #ffffff;
+                    color: #1f2937; /* text-gray-800 */
+                }
+
+                .grid-cell.playtest-cell.tracing {
+                    background-color: #d1d5db; /* bg-gray-300 */
+                }
+
+                .grid-cell.playtest-cell.found {
+                    background-color: #93c5fd; /* bg-blue-300 */
+                }
+
+                .grid-cell.playtest-cell.found-spangram {
+                    background-color: #fde047; /* bg-yellow-300 */
+                }
+
+                .blocklist-input {
+                    width: 100%;
+                    box-sizing: border-box;
+                    font-family: inherit;
+                }
+
+                .scan-list {
+                    list-style: none;
+                    margin: 0.5rem 0 0 0;
+                    padding: 0;
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.375rem;
+                    max-height: 12rem;
+                    overflow-y: auto;
+                }
+
+                .scan-list li {
+                    padding: 0.125rem 0.5rem;
+                    border-radius: 9999px; /* rounded-full */
+                    background-color: #e5e7eb; /* bg-gray-200 */
+                    color: #374151; /* text-gray-700 */
+                    font-size: 0.75rem; /* text-xs */
+                }
+
+                .scan-list li.blocked,
+                .scan-list li.flagged {
+                    background-color: #dc2626; /* bg-red-600 */
+                    color: #ffffff;
+                    font-weight: 700; /* font-bold */
+                }
+
+                .grid-cell.gap-edge {
+                    outline: 3px dotted #ea580c; /* orange-600 */
+                    outline-offset: -3px;
+                }
+
+                .grid-cell.path-edit-chosen {
+                    outline: 3px solid #111827; /* gray-900 */
+                    outline-offset: -3px;
+                }
+
+                .grid-cell.path-edit-target {
+                    outline: 2px dashed #2563eb; /* blue-600 */
+                    outline-offset: -4px;
+                }
+
+                .gap-badge {
+                    margin-left: 0.5rem; /* ml-2 */
+                    padding: 0.125rem 0.5rem;
+                    border-radius: 9999px; /* rounded-full */
+                    background-color: #ffedd5; /* bg-orange-100 */
+                    color: #c2410c; /* text-orange-700 */
+                    font-size: 0.75rem; /* text-xs */
+                    font-weight: 700; /* font-bold */
+                }
+
+                .path-edit-panel {
+                    margin-bottom: 1rem; /* mb-4 */
+                    padding: 0.75rem; /* p-3 */
+                    border: 1px solid #bfdbfe; /* border-blue-200 */
+                    border-radius: 0.5rem; /* rounded-lg */
+                    background-color: #eff6ff; /* bg-blue-50 */
+                }
+
+                .path-letters {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.375rem;
+                    margin-top: 0.5rem; /* mt-2 */
+                }
+
+                .path-letter {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    min-width: 2.25rem;
+                    padding: 0.25rem 0.375rem;
+                    border: 2px solid #d1d5db; /* border-gray-300 */
+                    border-radius: 0.375rem; /* rounded-md */
+                    background-color: #ffffff;
+                    font-weight: 700; /* font-bold */
+                    cursor: pointer;
+                }
+
+                .path-letter.placed {
+                    border-color: #22c55e; /* border-green-500 */
+                }
+
+                .path-letter.gap {
+                    border-color: #ea580c; /* border-orange-600 */
+                    border-style: dashed;
+                }
+
+                .path-letter.chosen {
+                    background-color: #1f2937; /* bg-gray-800 */
+                    color: #ffffff;
+                }
+
+                .path-letter-index {
+                    font-size: 0.625rem;
+                    font-weight: 400; /* font-normal */
+                    opacity: 0.8;
+                }
+
+                .grid-cell.traced {
+                    opacity: 0.7;
+                }
+
+                .grid-overlay {
+                    grid-row: 1 / -1;
+                    grid-column: 1 / -1;
+                    width: 100%;
+                    height: 100%;
+                    pointer-events: none; /* clicks go to the cells underneath */
+                }
+
+                .grid-cell-second-line {
+                    font-size: 0.75rem; /* text-xs */
+                    font-weight: 400; /* font-normal */
+                    opacity: 0.8; /* opacity-80 */
+                    white-space: nowrap; /* whitespace-nowrap */
+                }
+
+                .export-button {
+                    margin-top: 1.5rem; /* mt-6 */
+                    width: 100%; /* w-full */
+                    background-color: #4f46e5; /* bg-indigo-600 */
+                    color: #ffffff; /* text-white */
+                    font-weight: 700; /* font-bold */
+                    padding: 0.75rem 1.25rem; /* py-3 px-5 */
+                    border-radius: 0.5rem; /* rounded-lg */
+                    box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06); /* shadow-md */
+                    transition: all 0.3s ease-in-out; /* transition duration-300 ease-in-out */
+                    transform: scale(1); /* initial transform */
+                    outline: none; /* focus:outline-none */
+                }
+
+                .export-button:hover {
+                    background-color: #4338ca; /* hover:bg-indigo-700 */
+                    transform: scale(1.05); /* hover:scale-105 */
+                }
+
+                .export-button:focus {
+                    box-shadow: 0 0 0 2px rgba(79, 70, 229, 0.5), 0 0 0 4px rgba(79, 70, 229, 0.5); /* focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-75 */
+                }
+
+                .export-button:disabled {
+                    background-color: #9ca3af; /* bg-gray-400 */
+                    transform: none;
+                    cursor: not-allowed;
+                }
+
+                .open-button {
+                    margin-top: 0.75rem; /* mt-3 */
+                    width: 100%; /* w-full */
+                }
+
+                .bulk-toggle {
+                    margin-top: 0.5rem; /* mt-2 */
+                    padding: 0;
+                    border: none;
+                    background: none;
+                    color: #2563eb; /* text-blue-600 */
+                    font-size: 0.875rem; /* text-sm */
+                    cursor: pointer;
+                    text-decoration: underline;
+                }
+
+                .bulk-panel {
+                    margin-bottom: 1rem; /* mb-4 */
+                    padding: 0.75rem; /* p-3 */
+                    border: 2px dashed #d1d5db; /* border-2 border-dashed border-gray-300 */
+                    border-radius: 0.5rem; /* rounded-lg */
+                }
+
+                .difficulty-factors {
+                    list-style: none;
+                    margin: 0.5rem 0 0 0; /* mt-2 */
+                    padding: 0;
+                    display: grid;
+                    grid-template-columns: auto 1fr auto;
+                    gap: 0.25rem 0.5rem;
+                    align-items: center;
+                    font-size: 0.875rem; /* text-sm */
+                    color: #1f2937; /* text-gray-800 */
+                }
+
+                .difficulty-factors li {
+                    display: contents; /* label, bar and score line up in the grid columns */
+                }
+
+                .difficulty-bar {
+                    height: 0.5rem; /* h-2 */
+                    background-color: #dbeafe; /* bg-blue-100 */
+                    border-radius: 9999px; /* rounded-full */
+                    overflow: hidden;
+                }
+
+                .difficulty-bar span {
+                    display: block;
+                    height: 100%;
+                    background-color: #2563eb; /* bg-blue-600 */
                 }
 
-                .word-text-display {
-                    font-weight: 500; /* font-medium */
-                    font-size: 1.125rem; /* text-lg */
+                .difficulty-factor-score {
+                    text-align: end;
+                    font-variant-numeric: tabular-nums;
+                }
+
+                .difficulty-factor-detail {
+                    grid-column: 1 / -1;
+                    margin-bottom: 0.25rem; /* mb-1 */
+                }
+
+                .checklist-header {
                     display: flex;
+                    flex-wrap: wrap;
+                    justify-content: space-between;
                     align-items: center;
+                    gap: 0.5rem; /* gap-2 */
                 }
 
-                .word-placed-indicator {
-                    margin-right: 0.5rem; /* mr-2 */
-                    color: #16a34a; /* text-green-600 */
-                    font-size: 1.5rem; /* text-xl */
-                    font-weight: 700; /* font-bold */
+                .checklist-setting {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.375rem;
+                    font-size: 0.75rem; /* text-xs */
+                    color: #4b5563; /* text-gray-600 */
                 }
 
-                .word-actions {
-                    display: flex; /* flex */
-                    gap: 0.5rem; /* space-x-2 */
+                .checklist-items {
+                    list-style: none;
+                    margin: 0.5rem 0 0 0;
+                    padding: 0;
+                    font-size: 0.875rem; /* text-sm */
                 }
 
-                .edit-input-field {
-                    flex-grow: 1; /* flex-grow */
-                    padding: 0.5rem; /* p-2 */
-                    border: 1px solid #d1d5db; /* border border-gray-300 */
-                    border-radius: 0.5rem; /* rounded-lg */
-                    outline: none; /* focus:outline-none */
-                    transition: all 0.2s ease-in-out;
+                .checklist-items > li.passed {
+                    color: #15803d; /* text-green-700 */
                 }
-                .edit-input-field:focus {
-                    box-shadow: 0 0 0 1px rgba(147, 51, 234, 0.5); /* focus:ring-1 focus:ring-purple-500 */
+
+                .checklist-items > li.failed {
+                    color: #b91c1c; /* text-red-700 */
                 }
 
-                .grid-info-box {
-                    margin-bottom: 1rem; /* mb-4 */
-                    padding: 0.75rem; /* p-3 */
-                    border-radius: 0.375rem; /* rounded-md */
-                    text-align: center; /* text-center */
-                    font-size: 1.125rem; /* text-lg */
-                    font-weight: 500; /* font-medium */
-                    transition: all 0.3s; /* transition-colors duration-300 */
+                .sr-only {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    padding: 0;
+                    margin: -1px;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                    border-width: 0;
                 }
 
-                .grid-info-box.active {
-                    background-color: #f0fdf4; /* bg-green-100 */
-                    color: #166534; /* text-green-800 */
-                    border: 1px solid #22c55e; /* border border-green-300 */
+                .share-link-row {
+                    margin-bottom: 0.5rem; /* mb-2 */
                 }
 
-                .grid-info-box.inactive {
-                    background-color: #f3f4f6; /* bg-gray-100 */
-                    color: #4b5563; /* text-gray-600 */
-                    border: 1px solid #e5e7eb; /* border border-gray-200 */
+                .collection-panel {
+                    max-width: 64rem; /* max-w-5xl */
+                    margin: 0 auto;
                 }
 
+                .collection-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    margin-bottom: 1rem; /* mb-4 */
+                }
 
-                .grid-container {
-                    display: grid; /* grid */
-                    grid-template-columns: repeat(6, minmax(0, 1fr)); /* grid-cols-6 */
-                    gap: 0.25rem; /* gap-1 */
+                .collection-table th {
+                    text-align: start;
+                    font-size: 0.75rem; /* text-xs */
+                    text-transform: uppercase;
+                    color: #6b7280; /* text-gray-500 */
                     padding: 0.5rem; /* p-2 */
-                    border: 1px solid #d1d5db; /* border border-gray-300 */
-                    border-radius: 0.5rem; /* rounded-lg */
+                    border-bottom: 1px solid #e5e7eb; /* border-gray-200 */
                 }
 
-                .grid-cell {
-                    width: 3rem; /* w-12 */
-                    height: 3rem; /* h-12 */
-                    display: flex; /* flex */
-                    flex-direction: column; /* flex-col */
-                    align-items: center; /* items-center */
-                    justify-content: center; /* justify-center */
-                    font-size: 1.125rem; /* text-lg */
-                    font-weight: 700; /* font-bold */
-                    border: 1px solid #d1d5db; /* border border-gray-300 */
-                    border-radius: 0.375rem; /* rounded-md */
-                    cursor: pointer; /* cursor-pointer */
-                    user-select: none; /* select-none */
-                    transition: background-color 0.2s ease-in-out, filter 0.2s ease-in-out; /* transition-colors duration-200 ease-in-out */
-                    color: #4b5563; /* text-gray-700 default */
-                    background-color: #e2e8f0; /* Default gray-200 */
+                .collection-table td {
+                    padding: 0.5rem; /* p-2 */
+                    vertical-align: top;
+                    border-bottom: 1px solid #f3f4f6; /* border-gray-100 */
                 }
 
-                .grid-cell.marked {
-                    color: #ffffff; /* text-white */
+                .collection-table tr.has-repeats td {
+                    background-color: #fefce8; /* bg-yellow-50 */
                 }
 
-                .grid-cell:hover {
-                    filter: brightness(0.9); /* hover:brightness-90 */
+                .collection-repeats {
+                    margin: 0.25rem 0 0 0;
+                    padding-inline-start: 1rem;
+                    font-size: 0.75rem; /* text-xs */
+                    color: #a16207; /* text-yellow-700 */
                 }
 
-                .grid-cell-second-line {
-                    font-size: 0.75rem; /* text-xs */
-                    font-weight: 400; /* font-normal */
-                    opacity: 0.8; /* opacity-80 */
-                    white-space: nowrap; /* whitespace-nowrap */
+                .review-panel {
+                    max-width: 40rem; /* max-w-2xl */
+                    margin: 0 auto;
                 }
 
-                .export-button {
-                    margin-top: 1.5rem; /* mt-6 */
-                    width: 100%; /* w-full */
-                    background-color: #4f46e5; /* bg-indigo-600 */
-                    color: #ffffff; /* text-white */
-                    font-weight: 700; /* font-bold */
-                    padding: 0.75rem 1.25rem; /* py-3 px-5 */
-                    border-radius: 0.5rem; /* rounded-lg */
-                    box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06); /* shadow-md */
-                    transition: all 0.3s ease-in-out; /* transition duration-300 ease-in-out */
-                    transform: scale(1); /* initial transform */
-                    outline: none; /* focus:outline-none */
+                .review-sheet {
+                    display: flex;
+                    justify-content: center;
                 }
 
-                .export-button:hover {
-                    background-color: #4338ca; /* hover:bg-indigo-700 */
-                    transform: scale(1.05); /* hover:scale-105 */
+                .review-sheet svg {
+                    max-width: 100%;
+                    height: auto;
                 }
 
-                .export-button:focus {
-                    box-shadow: 0 0 0 2px rgba(79, 70, 229, 0.5), 0 0 0 4px rgba(79, 70, 229, 0.5); /* focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-75 */
+                .sheet-actions {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem; /* gap-2 */
+                    margin-top: 0.75rem; /* mt-3 */
+                }
+
+                .sheet-actions .button {
+                    flex: 1;
+                    padding: 0.5rem 0.75rem;
+                    font-size: 0.875rem; /* text-sm */
+                }
+
+                /* The printable sheet is only shown when printing; the editor is hidden instead. */
+                .print-sheet {
+                    display: none;
+                }
+
+                @media print {
+                    @page {
+                        margin: 1.5cm;
+                    }
+
+                    body {
+                        background: #ffffff;
+                    }
+
+                    .app-container {
+                        display: none !important;
+                    }
+
+                    .print-sheet {
+                        display: flex;
+                        justify-content: center;
+                    }
+
+                    .print-sheet svg {
+                        max-width: 100%;
+                        height: auto;
+                    }
                 }
                 `}
             </style>
 
+            {/* The chosen sheet variant, shown only by the print stylesheet */}
+            <div
+                className="print-sheet"
+                dangerouslySetInnerHTML={{ __html: buildPuzzleSheetSvg({ themeText, hintText, enteredWords, gridCells }, sheetVariant).svg }}
+            />
+
+            {/* The puzzle collection replaces the editor while it is open */}
+            {isCollectionOpen && !reviewPuzzle && !isPlaytesting && (
+                <div className="app-container">
+                    <CollectionView
+                        drafts={drafts}
+                        currentDraftId={currentDraftId}
+                        onUpdateDraft={handleUpdateDraft}
+                        onOpenDraft={handleOpenCollectionDraft}
+                        onClose={() => setIsCollectionOpen(false)}
+                    />
+                </div>
+            )}
+
+            {/* A "#review=" share link replaces the editor with a read-only view */}
+            {reviewPuzzle && !isPlaytesting && (
+                <div className="app-container">
+                    <ReviewView
+                        puzzle={reviewPuzzle}
+                        onOpenInEditor={handleOpenReviewInEditor}
+                        onClose={handleCloseReview}
+                    />
+                </div>
+            )}
+
+            {/* Playtest mode replaces the editor; the editor stays mounted so nothing typed there is lost */}
+            {isPlaytesting && (
+                <div className="app-container">
+                    <PlaytestView
+                        gridCells={gridCells}
+                        enteredWords={enteredWords}
+                        themeText={themeText}
+                        hintText={hintText}
+                        letterRule={letterRule}
+                        onClose={handlePlaytestClose}
+                    />
+                </div>
+            )}
+
             {/* Main container div */}
-            <div className="app-container">
+            <div className="app-container" style={isPlaytesting || reviewPuzzle || isCollectionOpen ? { display: 'none' } : undefined}>
                 {/* Left section: Word List Editor */}
                 <div className="panel">
                     <h1 className="title">
@@ -734,7 +3424,7 @@ const App = () => {
                             className="input-field rtl-input-field"
                             placeholder="Enter theme..."
                             value={themeText}
-                            onChange={(e) => setThemeText(e.target.value)}
+                            onChange={handleThemeChange}
                         />
                     </div>
 
@@ -749,14 +3439,14 @@ const App = () => {
                             className="input-field rtl-input-field"
                             placeholder="Enter hint..."
                             value={hintText}
-                            onChange={(e) => setHintText(e.target.value)}
+                            onChange={handleHintChange}
                         />
                     </div>
 
                     {/* Display area for total letter count across all words. */}
                     <div className="info-box info-box-blue" style={{ marginTop: '0', marginBottom: '0.5rem', padding: '0.5rem' }}>
                         <p className="info-box-text" style={{ fontSize: '0.875rem' }}>
-                            Total letters across all words: <span style={{ fontWeight: 'bold', color: '#1c4d8f' }}>{totalLetterCount} / 48</span>
+                            Total letters across all words: <span style={{ fontWeight: 'bold', color: '#1c4d8f' }}>{totalLetterCount} / {boardRows * boardCols}</span>
                         </p>
                     </div>
 
@@ -787,8 +3477,78 @@ const App = () => {
                                 Add Word
                             </button>
                         </div>
+                        <button
+                            onClick={() => toggleBulkEntry(bulkText === null)}
+                            className="bulk-toggle"
+                            aria-expanded={bulkText !== null}
+                        >
+                            {bulkText === null ? 'Add many words at once...' : 'Close bulk entry'}
+                        </button>
                     </div>
 
+                    {/* Bulk word entry from pasted text or a .txt file, with a preview of what will be added */}
+                    {bulkText !== null && (
+                        <div
+                            className="bulk-panel"
+                            onDragOver={(event) => event.preventDefault()}
+                            onDrop={handleBulkDrop}
+                        >
+                            <label htmlFor="bulkWordsInput" className="label">
+                                Paste words separated by new lines, commas or tabs, or drop a .txt file here:
+                            </label>
+                            <textarea
+                                id="bulkWordsInput"
+                                className="input-field blocklist-input"
+                                rows={5}
+                                dir="auto"
+                                value={bulkText}
+                                onChange={(e) => setBulkText(e.target.value)}
+                            />
+                            {bulkPreview.length > 0 && (
+                                <ul className="scan-list" aria-label="Preview of the words to add">
+                                    {bulkPreview.map((entry, index) => (
+                                        <li
+                                            key={index}
+                                            className={entry.status === 'new' ? '' : 'flagged'}
+                                            title={entry.reason}
+                                            dir="auto"
+                                        >
+                                            {entry.text}{entry.status !== 'new' && ` (${entry.reason})`}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            <div className="toolbar" style={{ marginTop: '0.75rem', marginBottom: '0' }}>
+                                <button
+                                    onClick={handleAddBulkWords}
+                                    className="button button-blue"
+                                    disabled={bulkNewCount === 0}
+                                >
+                                    Add {bulkNewCount} Word(s)
+                                </button>
+                                <button onClick={() => bulkFileInputRef.current.click()} className="button button-gray">
+                                    Choose File...
+                                </button>
+                                <button onClick={() => toggleBulkEntry(false)} className="button button-gray">
+                                    Cancel
+                                </button>
+                            </div>
+                            {bulkFileError && (
+                                <div className="info-box info-box-red" role="alert" style={{ marginTop: '0.75rem', marginBottom: '0' }}>
+                                    <p className="info-box-text">{bulkFileError}</p>
+                                </div>
+                            )}
+                            <input
+                                type="file"
+                                accept=".txt,text/plain"
+                                aria-label="Word list file"
+                                ref={bulkFileInputRef}
+                                onChange={handleBulkFileChange}
+                                style={{ display: 'none' }}
+                            />
+                        </div>
+                    )}
+
                     {/* Display area for the list of entered words. */}
                     {enteredWords.length === 0 ? (
                         <div className="info-box info-box-yellow" style={{ marginTop: '0.75rem' }}>
@@ -796,12 +3556,33 @@ const App = () => {
                         </div>
                     ) : (
                         <div className="word-list-container">
-                            <h2 className="word-list-title">Your Words:</h2>
+                            <div className="word-list-header">
+                                <h2 className="word-list-title">Your Words:</h2>
+                                <label htmlFor="wordPaletteSelect" className="label" style={{ marginBottom: 0 }}>
+                                    Colors:
+                                    <select
+                                        id="wordPaletteSelect"
+                                        className="input-field palette-select"
+                                        value={wordPaletteId}
+                                        onChange={(e) => handleChangePalette(e.target.value)}
+                                        title="Palette for words whose color was not picked by hand"
+                                    >
+                                        {WORD_PALETTES.map(palette => (
+                                            <option key={palette.id} value={palette.id}>{palette.name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
                             <ul className="word-list">
-                                {enteredWords.map((word) => (
+                                {enteredWords.map((word, index) => (
                                     <li
                                         key={word.id}
-                                        className={`word-list-item ${selectedWordData.id === word.id ? 'selected' : ''}`}
+                                        className={`word-list-item ${selectedWordData.id === word.id ? 'selected' : ''} ${word.isSpangram ? 'spangram' : ''} ${wordDrag && wordDrag.wordId === word.id ? 'dragging' : ''} ${wordDrag && wordDrag.overIndex === index && wordDrag.wordId !== word.id ? 'drop-target' : ''}`}
+                                        draggable={editMode !== word.id}
+                                        onDragStart={(event) => handleWordDragStart(event, word.id)}
+                                        onDragOver={(event) => handleWordDragOver(event, index)}
+                                        onDrop={(event) => handleWordDrop(event, index)}
+                                        onDragEnd={() => setWordDrag(null)}
                                     >
                                         {editMode === word.id ? (
                                             <div style={{ flexGrow: 1, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
@@ -836,10 +3617,39 @@ const App = () => {
                                         ) : (
                                             <>
                                                 <span className="word-text-display">
+                                                    <button
+                                                        className="drag-handle"
+                                                        onKeyDown={(event) => handleWordHandleKeyDown(event, index)}
+                                                        aria-label={`Word ${index + 1} of ${enteredWords.length}, "${word.text}". Drag, or press the up and down arrow keys, to move it.`}
+                                                        title="Drag to reorder (or focus and use the arrow keys)"
+                                                    >
+                                                        ⠿
+                                                    </button>
+                                                    <button
+                                                        className="color-swatch"
+                                                        style={{ backgroundColor: word.color, color: getTextColor(word.color) }}
+                                                        onClick={() => setColorPickerWordId(colorPickerWordId === word.id ? null : word.id)}
+                                                        aria-expanded={colorPickerWordId === word.id}
+                                                        aria-label={`Color of "${word.text}"${word.isColorPicked ? ', picked by hand' : ''}. Change it.`}
+                                                        title="Change this word's color"
+                                                    >
+                                                        A
+                                                    </button>
                                                     {placedWordIds.has(word.id) && (
                                                         <span className="word-placed-indicator" title="Word used on grid">V</span>
                                                     )}
                                                     <span>{word.text}</span>
+                                                    {word.isSpangram && (
+                                                        <span className="spangram-badge" title="This word is the spangram">Spangram</span>
+                                                    )}
+                                                    {word.isLocked && (
+                                                        <span className="lock-badge" title="Generate Layout keeps this word's path">Locked</span>
+                                                    )}
+                                                    {pathGapsById.has(word.id) && (
+                                                        <span className="gap-badge" title={`Letter(s) ${pathGapsById.get(word.id).map(index => index + 1).join(', ')} missing from the path; use Path to fix`}>
+                                                            Gap
+                                                        </span>
+                                                    )}
                                                 </span>
                                                 <div className="word-actions">
                                                     <button
@@ -866,7 +3676,90 @@ const App = () => {
                                                     >
                                                         Clear
                                                     </button>
+                                                    <button
+                                                        onClick={() => handleToggleSpangram(word.id)}
+                                                        className={`button ${word.isSpangram ? 'button-green' : 'button-gray'}`}
+                                                        style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                        title={word.isSpangram ? "Unmark this word as the spangram" : "Mark this word as the spangram"}
+                                                    >
+                                                        Span
+                                                    </button>
+                                                    {(word.isLocked || getPathEdges(gridCells, word.id).placedCount === calculateLetters(word.text)) && (
+                                                        <button
+                                                            onClick={() => handleToggleLock(word.id)}
+                                                            className={`button ${word.isLocked ? 'button-green' : 'button-gray'}`}
+                                                            style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                            title={word.isLocked ? "Let Generate Layout move this word" : "Keep this word's path when generating a layout"}
+                                                        >
+                                                            {word.isLocked ? "Unlock" : "Lock"}
+                                                        </button>
+                                                    )}
+                                                    {placedWordIds.has(word.id) && (
+                                                        <button
+                                                            onClick={() => handleTogglePathEdit(word.id)}
+                                                            className={`button ${pathEdit && pathEdit.wordId === word.id ? 'button-green' : 'button-gray'}`}
+                                                            style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                            title="Fix gaps, move letters or truncate this word's path"
+                                                        >
+                                                            Path
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => handleDeleteWord(word.id)}
+                                                        className="button button-red"
+                                                        style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                        title="Delete this word and clear its cells"
+                                                    >
+                                                        Delete
+                                                    </button>
                                                 </div>
+                                                {colorPickerWordId === word.id && (
+                                                    <div className="color-picker" role="group" aria-label={`Color of "${word.text}"`}>
+                                                        {wordPalette.colors.map(color => (
+                                                            <button
+                                                                key={color}
+                                                                className="color-swatch"
+                                                                style={{ backgroundColor: color, color: getTextColor(color) }}
+                                                                onClick={() => handlePickWordColor(word.id, color)}
+                                                                aria-pressed={word.color.toUpperCase() === color.toUpperCase()}
+                                                                aria-label={color}
+                                                                title={color}
+                                                            >
+                                                                A
+                                                            </button>
+                                                        ))}
+                                                        <label className="color-picker-custom">
+                                                            Custom:
+                                                            <input
+                                                                type="color"
+                                                                value={word.color.toLowerCase()}
+                                                                onChange={(e) => handlePickWordColor(word.id, e.target.value)}
+                                                            />
+                                                        </label>
+                                                        <button
+                                                            onClick={() => handlePickWordColor(word.id, null)}
+                                                            className="button button-gray"
+                                                            style={{ padding: '0.25rem 0.75rem', fontSize: '0.875rem' }}
+                                                            disabled={!word.isColorPicked}
+                                                            title="Let the editor choose this word's color from the palette"
+                                                        >
+                                                            Automatic
+                                                        </button>
+                                                        {(() => {
+                                                            // Touching words this color is hard to tell apart from, and how readable letters are on it.
+                                                            const similarWords = enteredWords.filter(other => touchingWords.has(word.id) &&
+                                                                touchingWords.get(word.id).has(other.id) &&
+                                                                getColorDifference(word.color, other.color) < SIMILAR_COLOR_DIFFERENCE);
+                                                            const contrast = getContrastRatio(word.color, getTextColor(word.color));
+                                                            return (
+                                                                <p className="library-item-meta color-picker-notes">
+                                                                    Letter contrast {contrast.toFixed(1)}:1{contrast < 4.5 && ' (hard to read)'}.
+                                                                    {similarWords.length > 0 && ` Looks like the touching word(s) ${similarWords.map(other => `"${other.text}"`).join(', ')}.`}
+                                                                </p>
+                                                            );
+                                                        })()}
+                                                    </div>
+                                                )}
                                             </>
                                         )}
                                     </li>
@@ -874,56 +3767,705 @@ const App = () => {
                             </ul>
                         </div>
                     )}
+
+                    {/* Library of locally saved drafts */}
+                    <div className="library-container">
+                        <div className="library-header">
+                            <h2 className="word-list-title">Draft Library</h2>
+                            <div className="word-actions">
+                                <button
+                                    onClick={() => setIsCollectionOpen(true)}
+                                    className="button button-gray"
+                                    style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                    title="Schedule puzzles, check for repeats and export a date range"
+                                >
+                                    Collection
+                                </button>
+                                <button
+                                    onClick={handleNewDraft}
+                                    className="button button-blue"
+                                    style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                    title="Start a new empty puzzle"
+                                >
+                                    New Puzzle
+                                </button>
+                            </div>
+                        </div>
+                        {storageReadError && (
+                            <div className="info-box info-box-red">
+                                <p className="info-box-text">The drafts saved in this browser could not be read.</p>
+                            </div>
+                        )}
+                        {storageError && (
+                            <div className="info-box info-box-red">
+                                <p className="info-box-text">Drafts could not be saved in this browser.</p>
+                            </div>
+                        )}
+                        {drafts.length === 0 ? (
+                            <p className="library-item-meta">Drafts are saved automatically as you work.</p>
+                        ) : (
+                            <ul className="library-list">
+                                {[...drafts].sort((a, b) => b.updatedAt - a.updatedAt).map((draft) => (
+                                    <li
+                                        key={draft.id}
+                                        className={`library-item ${draft.id === currentDraftId ? 'current' : ''}`}
+                                    >
+                                        {renamingDraftId === draft.id ? (
+                                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                                <input
+                                                    type="text"
+                                                    className="edit-input-field"
+                                                    value={renameText}
+                                                    onChange={(e) => setRenameText(e.target.value)}
+                                                    onKeyPress={(event) => {
+                                                        if (event.key === 'Enter') {
+                                                            handleSaveRename(draft.id);
+                                                        }
+                                                    }}
+                                                />
+                                                <button
+                                                    onClick={() => handleSaveRename(draft.id)}
+                                                    className="button button-purple"
+                                                    style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                    title="Save the new name"
+                                                >
+                                                    Save
+                                                </button>
+                                                <button
+                                                    onClick={() => setRenamingDraftId(null)}
+                                                    className="button button-gray"
+                                                    style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                    title="Cancel renaming"
+                                                >
+                                                    Cancel
+                                                </button>
+                                            </div>
+                                        ) : (
+                                            <div>
+                                                <div className="library-item-title">
+                                                    {getDraftTitle(draft)}
+                                                    {draft.id === currentDraftId && ' (editing)'}
+                                                </div>
+                                                <div className="library-item-meta">
+                                                    {draft.name && draft.themeText && `Theme: ${draft.themeText} · `}
+                                                    {draft.publishDate && `Publishes ${draft.publishDate} · `}
+                                                    {draft.status && draft.status !== 'draft' && `${getStatusLabel(draft.status)} · `}
+                                                    Last modified {new Date(draft.updatedAt).toLocaleString()}
+                                                </div>
+                                            </div>
+                                        )}
+                                        <div className="word-actions">
+                                            <button
+                                                onClick={() => handleOpenDraft(draft.id)}
+                                                className="button button-blue"
+                                                style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                title="Open this draft"
+                                                disabled={draft.id === currentDraftId}
+                                            >
+                                                Open
+                                            </button>
+                                            <button
+                                                onClick={() => handleDuplicateDraft(draft.id)}
+                                                className="button button-gray"
+                                                style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                title="Make a copy of this draft"
+                                            >
+                                                Duplicate
+                                            </button>
+                                            <button
+                                                onClick={() => handleRenameDraftClick(draft.id)}
+                                                className="button button-purple"
+                                                style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                title="Rename this draft"
+                                            >
+                                                Rename
+                                            </button>
+                                            <button
+                                                onClick={() => handleDeleteDraft(draft.id)}
+                                                className="button button-red"
+                                                style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                title="Delete this draft"
+                                            >
+                                                Delete
+                                            </button>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
                 </div>
 
                 {/* Right section: Clickable Grid */}
                 <div className="panel">
+                    {/* Problems with a share link opened in this tab */}
+                    {shareLinkError && (
+                        <div className="info-box info-box-red" role="alert">
+                            <p className="info-box-text">The shared link could not be opened:</p>
+                            <ul className="info-box-list">
+                                {shareLinkError.map((error, index) => <li key={index}>{error}</li>)}
+                            </ul>
+                            <button onClick={() => setShareLinkError(null)} className="button button-gray" style={{ marginTop: '0.5rem', padding: '0.25rem 0.75rem', fontSize: '0.875rem' }}>
+                                Dismiss
+                            </button>
+                        </div>
+                    )}
                     <h1 className="title">
-                        Clickable Grid (8x6)
+                        Clickable Grid ({boardRows}x{boardCols})
                     </h1>
+                    {/* Board size of this puzzle */}
+                    <div className="board-size-controls">
+                        <label htmlFor="boardRowsSelect" className="label">Rows:</label>
+                        <select
+                            id="boardRowsSelect"
+                            className="board-size-select"
+                            value={boardRows}
+                            onChange={(e) => handleResizeBoard(parseInt(e.target.value, 10), boardCols)}
+                        >
+                            {boardSizeOptions.map(size => <option key={size} value={size}>{size}</option>)}
+                        </select>
+                        <label htmlFor="boardColsSelect" className="label">Columns:</label>
+                        <select
+                            id="boardColsSelect"
+                            className="board-size-select"
+                            value={boardCols}
+                            onChange={(e) => handleResizeBoard(boardRows, parseInt(e.target.value, 10))}
+                        >
+                            {boardSizeOptions.map(size => <option key={size} value={size}>{size}</option>)}
+                        </select>
+                        <label htmlFor="letterRuleSelect" className="label">Letters:</label>
+                        <select
+                            id="letterRuleSelect"
+                            className="board-size-select"
+                            value={letterRule}
+                            onChange={(e) => handleChangeLetterRule(e.target.value)}
+                            title="How the words are split into board letters"
+                        >
+                            {LETTER_RULES.map(rule => <option key={rule.code} value={rule.code}>{rule.name}</option>)}
+                        </select>
+                    </div>
+                    {/* Toolbar with undo/redo for word and grid edits */}
+                    <div className="toolbar">
+                        <button
+                            onClick={handleUndo}
+                            className="button button-gray"
+                            title="Undo the last change (Ctrl+Z)"
+                            disabled={undoStack.length === 0}
+                        >
+                            Undo
+                        </button>
+                        <button
+                            onClick={handleRedo}
+                            className="button button-gray"
+                            title="Redo the last undone change (Ctrl+Shift+Z)"
+                            disabled={redoStack.length === 0}
+                        >
+                            Redo
+                        </button>
+                        <button
+                            onClick={handleGenerateLayout}
+                            className="button button-purple"
+                            title="Search for layouts that fill the whole grid with the entered words"
+                        >
+                            Generate Layout
+                        </button>
+                        <button
+                            onClick={handleCheckAmbiguity}
+                            className="button button-blue"
+                            title="Look for other routes that spell the theme words"
+                            disabled={isPreviewingLayout}
+                        >
+                            Check Ambiguity
+                        </button>
+                        <button
+                            onClick={handleStartPlaytest}
+                            className="button button-green"
+                            title="Try the puzzle the way players will see it"
+                            disabled={enteredWords.length === 0}
+                        >
+                            Playtest
+                        </button>
+                    </div>
+                    {/* Generated layouts: cycle, apply or discard, or the reason none could be found */}
+                    {isPreviewingLayout && (
+                        <div className="info-box info-box-blue generator-box">
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>
+                                Previewing layout <span>{generatorResult.index + 1} of {generatorResult.solutions.length}</span>
+                            </p>
+                            <div className="word-actions">
+                                <button onClick={() => handleCycleLayout(-1)} className="button button-gray" title="Show the previous layout">
+                                    Prev
+                                </button>
+                                <button onClick={() => handleCycleLayout(1)} className="button button-gray" title="Show the next layout">
+                                    Next
+                                </button>
+                                <button onClick={handleApplyLayout} className="button button-green" title="Use this layout for the grid">
+                                    Apply
+                                </button>
+                                <button onClick={() => setGeneratorResult(null)} className="button button-red" title="Discard the generated layouts">
+                                    Discard
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                    {generatorResult && generatorResult.solutions.length === 0 && (
+                        <div className="info-box info-box-red">
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>{generatorResult.message}</p>
+                        </div>
+                    )}
                     {/* Information about selected word for placing letters */}
-                    <div className={`grid-info-box ${selectedWordData.id ? 'active' : 'inactive'}`}>
+                    <div className={`grid-info-box ${selectedWordData.id ? 'active' : 'inactive'}`} aria-live="polite">
                         {selectedWordData.id ?
-                            `Selected for grid: "${selectedWordData.text}" (Next Letter: ${selectedWordData.text.charAt(selectedWordData.letterIndex).toUpperCase()})` :
+                            `Selected for grid: "${selectedWordData.text}" (Next Letter: ${getBoardLetters(selectedWordData.text, letterRule)[selectedWordData.letterIndex] || ''})` :
                             "Select a word to place its letters on the grid."}
                     </div>
+                    {/* Path editing: choose a letter of the word, then an empty cell to place or move it to */}
+                    {pathEditWord && (
+                        <div className="path-edit-panel">
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>
+                                Editing the path of "{pathEditWord.text}"
+                                {pathEditGaps.length > 0 && ` (gaps at letter ${pathEditGaps.map(index => index + 1).join(', ')})`}.
+                                Choose a letter, then click an empty outlined cell to place or move it there.
+                            </p>
+                            <div className="path-letters" role="group" aria-label="Letters of the word">
+                                {pathEditLetters.map((letter, index) => {
+                                    const status = pathEditSlots[index] ? 'placed' : (pathEditGaps.includes(index) ? 'gap' : 'unplaced');
+                                    return (
+                                        <button
+                                            key={index}
+                                            className={`path-letter ${status} ${pathEdit.index === index ? 'chosen' : ''}`}
+                                            onClick={() => setPathEdit({ wordId: pathEditWord.id, index })}
+                                            aria-pressed={pathEdit.index === index}
+                                            title={`Letter ${index + 1}: ${status === 'placed' ? `at (${pathEditSlots[index].row + 1}, ${pathEditSlots[index].col + 1})` : status === 'gap' ? 'missing (gap)' : 'not placed yet'}`}
+                                        >
+                                            {letter}<span className="path-letter-index">{index + 1}</span>
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                            <div className="toolbar" style={{ marginTop: '0.5rem', marginBottom: '0' }}>
+                                <button
+                                    onClick={handleTruncatePath}
+                                    className="button button-red"
+                                    disabled={pathEdit.index === null || !pathEditSlots.slice(pathEdit.index).some(cell => cell)}
+                                    title="Remove the chosen letter and every letter after it from the grid"
+                                >
+                                    Truncate from letter {pathEdit.index === null ? '...' : pathEdit.index + 1}
+                                </button>
+                                <button onClick={() => { setPathEdit(null); setPlacementWarning(null); }} className="button button-gray">
+                                    Done
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                    {placementWarning && (
+                        <div className="info-box info-box-red" role="alert">
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>{placementWarning}</p>
+                        </div>
+                    )}
+                    <p className="grid-keyboard-hint" id="gridKeyboardHint">
+                        Keyboard: arrow keys move, Enter or Space places or removes the next letter,
+                        1-9 select a word ([ and ] for previous/next), Esc deselects or leaves path editing.
+                    </p>
                     {/* Grid container */}
-                    <div className="grid-container">
-                        {gridCells.map((row, rowIndex) => (
-                            row.map((cellContent, colIndex) => {
-                                // Find the word object to get its original index for display
-                                const wordObj = enteredWords.find(w => w.id === cellContent?.wordId);
-                                const wordIndex = wordObj ? enteredWords.indexOf(wordObj) : -1;
-
-                                return (
-                                    <div
-                                        key={`${rowIndex}-${colIndex}`}
-                                        style={{ backgroundColor: cellContent ? cellContent.color : '#e2e8f0' }}
-                                        className="grid-cell"
-                                        onClick={() => handleCellClick(rowIndex, colIndex)}
-                                        title={`Cell (${rowIndex + 1}, ${colIndex + 1})`}
-                                    >
-                                        {/* First line: The letter */}
-                                        <span>{cellContent ? cellContent.letter : ''}</span>
-                                        {/* Second line: Word index, letter index, row, column coordinates, only if cell is marked */}
-                                        {cellContent && (
-                                            <span className="grid-cell-second-line">
-                                                {wordIndex};{cellContent.sequenceIndex};{cellContent.row};{cellContent.col}
-                                            </span>
-                                        )}
-                                    </div>
-                                );
-                            })
+                    <div
+                        className="grid-container"
+                        ref={gridContainerRef}
+                        role="grid"
+                        aria-label={`Puzzle grid, ${boardRows} rows by ${boardCols} columns`}
+                        aria-rowcount={boardRows}
+                        aria-colcount={boardCols}
+                        aria-describedby="gridKeyboardHint"
+                        onKeyDown={handleGridKeyDown}
+                        style={{ gridTemplateColumns: `repeat(${boardCols}, minmax(0, 3rem))`, gridTemplateRows: `repeat(${boardRows}, auto)` }}
+                        onPointerDown={handleGridPointerDown}
+                        onPointerMove={handleGridPointerMove}
+                        onPointerUp={handleGridPointerUp}
+                        onPointerCancel={handleGridPointerCancel}
+                    >
+                        {displayedGridCells.map((row, rowIndex) => (
+                            <div key={rowIndex} role="row" className="grid-row">
+                                {row.map((cellContent, colIndex) => {
+                                    // Find the word object to get its original index for display
+                                    const wordObj = enteredWords.find(w => w.id === cellContent?.wordId);
+                                    const wordIndex = wordObj ? enteredWords.indexOf(wordObj) : -1;
+                                    const cellColor = cellContent ? cellContent.color : null;
+                                    // Position of this cell in the highlighted alternate route, if any.
+                                    const routePosition = highlightedCells.get(`${rowIndex}-${colIndex}`);
+                                    // Whether this cell holds a traced letter that is not placed yet.
+                                    const isTraced = Boolean(cellContent && tracedGridCells && !gridCells[rowIndex][colIndex]);
+                                    // Whether the keyboard cursor is on this cell; only that cell is in the tab order.
+                                    const isCursor = gridCursor[0] === rowIndex && gridCursor[1] === colIndex;
+                                    // Path editing marks: the chosen letter, and the empty cells it may be placed or moved to.
+                                    const isPathEditChosen = Boolean(pathEditWord && pathEdit.index !== null && cellContent &&
+                                        cellContent.wordId === pathEditWord.id && cellContent.sequenceIndex === pathEdit.index);
+                                    const isPathEditTarget = Boolean(pathEditWord && pathEdit.index !== null && !isPreviewingLayout &&
+                                        checkPathCell(gridCells, pathEditSlots, pathEdit.index, [rowIndex, colIndex]) === null);
+
+                                    return (
+                                        <div
+                                            key={`${rowIndex}-${colIndex}`}
+                                            style={{ backgroundColor: cellColor || '#e2e8f0', color: cellColor ? getTextColor(cellColor) : undefined, gridRow: rowIndex + 1, gridColumn: colIndex + 1 }}
+                                            className={`grid-cell ${cellContent && spangramWordIds.has(cellContent.wordId) ? 'spangram' : ''} ${routePosition !== undefined ? 'alternate-route' : ''} ${isTraced ? 'traced' : ''} ${gapEdgeCells.has(`${rowIndex}-${colIndex}`) ? 'gap-edge' : ''} ${isPathEditChosen ? 'path-edit-chosen' : ''} ${isPathEditTarget ? 'path-edit-target' : ''}`}
+                                            data-row={rowIndex}
+                                            data-col={colIndex}
+                                            onClick={() => handleCellClick(rowIndex, colIndex)}
+                                            onFocus={() => setGridCursor([rowIndex, colIndex])}
+                                            role="gridcell"
+                                            tabIndex={isCursor ? 0 : -1}
+                                            aria-selected={isCursor}
+                                            aria-label={describeCell(cellContent, rowIndex, colIndex)}
+                                            title={`Cell (${rowIndex + 1}, ${colIndex + 1})${routePosition !== undefined ? ` - letter ${routePosition + 1} of the highlighted route` : ''}`}
+                                        >
+                                            {/* First line: The letter */}
+                                            <span>{cellContent ? cellContent.letter : ''}</span>
+                                            {/* Second line: Word index, letter index, row, column coordinates, only if cell is marked */}
+                                            {cellContent && (
+                                                <span className="grid-cell-second-line">
+                                                    {wordIndex};{cellContent.sequenceIndex};{cellContent.row};{cellContent.col}
+                                                </span>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
                         ))}
+                        {/* Overlay drawing the segments of crossing paths and the live trace line, in cell units (cell centers at .5) */}
+                        {!isPreviewingLayout && (crossings.length > 0 || tracePoints.length > 1) && (
+                            <svg className="grid-overlay" aria-hidden="true" viewBox={`0 0 ${boardCols} ${boardRows}`} preserveAspectRatio="none">
+                                {tracePoints.length > 1 && (
+                                    <polyline
+                                        points={tracePoints.map(([r, c]) => `${c + 0.5},${r + 0.5}`).join(' ')}
+                                        fill="none"
+                                        stroke="#1f2937"
+                                        strokeOpacity="0.6"
+                                        strokeWidth="6"
+                                        strokeLinecap="round"
+                                        strokeLinejoin="round"
+                                        vectorEffect="non-scaling-stroke"
+                                    />
+                                )}
+                                {crossings.flat().map((segment, index) => (
+                                    <line
+                                        key={index}
+                                        x1={segment.from[1] + 0.5}
+                                        y1={segment.from[0] + 0.5}
+                                        x2={segment.to[1] + 0.5}
+                                        y2={segment.to[0] + 0.5}
+                                        stroke="#dc2626"
+                                        strokeWidth="4"
+                                        strokeLinecap="round"
+                                        vectorEffect="non-scaling-stroke"
+                                    />
+                                ))}
+                            </svg>
+                        )}
+                    </div>
+                    {/* Difficulty estimate, with the factors behind it */}
+                    {difficulty && (
+                        <div className="info-box info-box-blue" style={{ marginTop: '1rem', marginBottom: '0' }}>
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>
+                                Difficulty{isPreviewingLayout && ' of this layout'}: <strong>{difficulty.score} / 100 ({difficulty.label})</strong>
+                            </p>
+                            <ul className="difficulty-factors">
+                                {difficulty.factors.map(factor => (
+                                    <li key={factor.id} title={`Counts for ${factor.weight}% of the score`}>
+                                        <span className="difficulty-factor-label">{factor.label}</span>
+                                        <span className="difficulty-bar" aria-hidden="true">
+                                            <span style={{ width: `${factor.score}%` }} />
+                                        </span>
+                                        <span className="difficulty-factor-score">{factor.score}</span>
+                                        <span className="library-item-meta difficulty-factor-detail" dir="auto">{factor.detail}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {/* Crossing paths found anywhere on the grid */}
+                    {crossings.length > 0 && (
+                        <div className="info-box info-box-red" style={{ marginTop: '1rem', marginBottom: '0' }}>
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>Word paths must not cross each other diagonally:</p>
+                            <ul className="info-box-list">
+                                {crossings.map(([first, second], index) => (
+                                    <li key={index}>
+                                        "{enteredWords.find(word => word.id === first.wordId)?.text}" crosses
+                                        "{enteredWords.find(word => word.id === second.wordId)?.text}" between
+                                        rows {first.from[0] + 1}-{first.to[0] + 1}, columns {Math.min(first.from[1], first.to[1]) + 1}-{Math.max(first.from[1], first.to[1]) + 1}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {/* Ambiguity report: alternate routes for each word and uniqueness of the full solution */}
+                    {ambiguityReport && (
+                        <div
+                            className={`info-box ${ambiguityReport.solutionCount === 1 ? 'info-box-green' : 'info-box-yellow'}`}
+                            style={{ marginTop: '1rem', marginBottom: '0' }}
+                        >
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>{ambiguityReport.message}</p>
+                            <ul className="ambiguity-list">
+                                {ambiguityReport.words.map(word => (
+                                    <li key={word.wordId}>
+                                        <strong>{word.text}</strong>
+                                        {word.intendedIndex === -1 && word.routes.length === 0 && ' - not on the board.'}
+                                        {word.intendedIndex === -1 && word.routes.length > 0 && ` - not placed, but found ${word.hasMoreRoutes ? `more than ${MAX_WORD_ROUTES}` : word.routes.length} time(s):`}
+                                        {word.intendedIndex !== -1 && word.alternateIndexes.length === 0 && ' - only the intended route.'}
+                                        {word.intendedIndex !== -1 && word.alternateIndexes.length > 0 && (word.hasMoreRoutes
+                                            ? ` - too many routes (over ${MAX_WORD_ROUTES}), the first ${word.alternateIndexes.length} alternates:`
+                                            : ` - ${word.alternateIndexes.length} alternate route(s):`)}
+                                        {(word.intendedIndex === -1 ? word.routes.map((route, routeIndex) => routeIndex) : word.alternateIndexes).map((routeIndex, position) => (
+                                            <button
+                                                key={routeIndex}
+                                                onClick={() => handleToggleRouteHighlight(word.wordId, routeIndex)}
+                                                className={`route-button ${highlightedRoute && highlightedRoute.wordId === word.wordId && highlightedRoute.routeIndex === routeIndex ? 'active' : ''}`}
+                                                title="Highlight this route on the grid"
+                                            >
+                                                Route {position + 1}
+                                            </button>
+                                        ))}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {/* Dictionary scan for non-theme words and blocklisted words */}
+                    <div className="library-container">
+                        <div className="library-header">
+                            <h2 className="word-list-title">Dictionary Scan</h2>
+                            <div className="word-actions">
+                                <select
+                                    className="board-size-select"
+                                    value={scanSettings.language}
+                                    onChange={(e) => setScanSettings({ ...scanSettings, language: e.target.value })}
+                                    aria-label="Dictionary language"
+                                >
+                                    {DICTIONARY_LANGUAGES.map(lang => <option key={lang.code} value={lang.code}>{lang.name}</option>)}
+                                </select>
+                                <button
+                                    onClick={handleScanBoard}
+                                    className="button button-blue"
+                                    style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                    title={`Find dictionary words of ${MIN_DICTIONARY_WORD_LENGTH}+ letters hidden in the board`}
+                                    disabled={scanResult !== null && scanResult.status === 'loading'}
+                                >
+                                    Scan Board
+                                </button>
+                                <button
+                                    onClick={() => setIsEditingBlocklist(!isEditingBlocklist)}
+                                    className="button button-gray"
+                                    style={{ padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                    title="Words that must never appear on a board"
+                                >
+                                    Blocklist
+                                </button>
+                            </div>
+                        </div>
+                        {isEditingBlocklist && (
+                            <div className="input-group">
+                                <label htmlFor="blocklistInput" className="label">
+                                    Blocked words (separated by spaces, commas or new lines):
+                                </label>
+                                <textarea
+                                    id="blocklistInput"
+                                    className="input-field blocklist-input"
+                                    rows={4}
+                                    dir="auto"
+                                    value={scanSettings.blocklist}
+                                    onChange={(e) => setScanSettings({ ...scanSettings, blocklist: e.target.value })}
+                                />
+                            </div>
+                        )}
+                        {scanResult && scanResult.status === 'loading' && (
+                            <p className="library-item-meta">Loading the {scanResult.languageName} word list...</p>
+                        )}
+                        {scanResult && scanResult.status === 'error' && (
+                            <div className="info-box info-box-red">
+                                <p className="info-box-text" style={{ fontSize: '0.875rem' }}>
+                                    The {scanResult.languageName} word list could not be loaded. Check the connection and scan again;
+                                    if you run the app yourself, generate the list with <code>npm run build:dictionary</code>.
+                                </p>
+                            </div>
+                        )}
+                        {scanResult && scanResult.status === 'done' && (
+                            <>
+                                <p className="library-item-meta">
+                                    {scanResult.words.filter(word => !word.isBlocked).length} non-theme {scanResult.languageName} word(s)
+                                    of {MIN_DICTIONARY_WORD_LENGTH}+ letters found
+                                    {scanResult.words.some(word => word.isBlocked) && `, ${scanResult.words.filter(word => word.isBlocked).length} blocked word(s)`}.
+                                </p>
+                                <ul className="scan-list">
+                                    {scanResult.words.map(word => (
+                                        <li key={word.text} className={word.isBlocked ? 'blocked' : ''} dir="auto">
+                                            {word.text}{word.count > 1 && ` ×${word.count}`}{word.isBlocked && ' (blocked)'}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </div>
+                    {/* Results of earlier playtests */}
+                    {playtestResults.length > 0 && (
+                        <div className="info-box info-box-blue" style={{ marginTop: '1rem', marginBottom: '0' }}>
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>Playtests:</p>
+                            <ul className="info-box-list">
+                                {playtestResults.map((result, index) => (
+                                    <li key={index}>
+                                        {new Date(result.date).toLocaleString()}: {result.completed ? 'solved' : `stopped after ${result.foundCount} of ${result.totalWords} words`}
+                                        {' '}in {formatDuration(result.seconds)}, {result.wrongGuesses} wrong guess(es)
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {/* Spangram designation and edge-to-edge check */}
+                    <div
+                        className={`info-box ${spangramValidation.status === 'ok' ? 'info-box-green' : spangramValidation.status === 'error' ? 'info-box-red' : 'info-box-yellow'}`}
+                        style={{ marginTop: '1rem', marginBottom: '0' }}
+                    >
+                        <p className="info-box-text" style={{ fontSize: '0.875rem' }}>{spangramValidation.message}</p>
+                    </div>
+                    {/* Publish checklist, evaluated on every change */}
+                    <div className={`info-box ${isReadyToPublish ? 'info-box-green' : 'info-box-yellow'} checklist`} style={{ marginTop: '1rem', marginBottom: '0' }}>
+                        <div className="checklist-header">
+                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>
+                                {isReadyToPublish ? 'Ready to publish.' : 'Publish checklist:'}
+                            </p>
+                            <label className="checklist-setting">
+                                If items fail, export
+                                <select
+                                    className="board-size-select"
+                                    value={exportCheckMode}
+                                    onChange={(e) => setExportCheckMode(e.target.value)}
+                                >
+                                    <option value="warn">asks first</option>
+                                    <option value="block">is blocked</option>
+                                </select>
+                            </label>
+                        </div>
+                        <ul className="checklist-items">
+                            {readiness.map(item => (
+                                <li key={item.id} className={item.passed ? 'passed' : 'failed'}>
+                                    <span aria-hidden="true">{item.passed ? '✓' : '✗'}</span> {item.label}
+                                    <span className="sr-only">{item.passed ? ' (passed)' : ' (failed)'}</span>
+                                    {!item.passed && item.details.length > 0 && (
+                                        <ul className="info-box-list">
+                                            {item.details.map((detail, index) => <li key={index} dir="auto">{detail}</li>)}
+                                        </ul>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
                     </div>
                     {/* Export Button moved here */}
                     <button
                         onClick={handleExport}
                         className="export-button"
-                        title="Export grid data to strands_layout.csv"
+                        title={!isReadyToPublish && exportCheckMode === 'block'
+                            ? 'Export is blocked until every publish checklist item passes'
+                            : 'Export grid data to strands_layout.csv'}
+                        disabled={!isReadyToPublish && exportCheckMode === 'block'}
                     >
                         Export Grid Data to strands_layout.csv
                     </button>
+                    {/* Printable sheet: player sheet or answer key as SVG, PNG or on paper */}
+                    <div className="sheet-actions">
+                        <select
+                            className="board-size-select"
+                            value={sheetVariant}
+                            onChange={(e) => setSheetVariant(e.target.value)}
+                            aria-label="Printable sheet"
+                        >
+                            <option value="player">Player sheet</option>
+                            <option value="answer">Answer key</option>
+                        </select>
+                        <button onClick={handleExportSheetSvg} className="button button-gray" title="Download the sheet as an SVG image">
+                            SVG
+                        </button>
+                        <button onClick={handleExportSheetPng} className="button button-gray" title="Download the sheet as a PNG image">
+                            PNG
+                        </button>
+                        <button onClick={handlePrintSheet} className="button button-gray" title="Print the sheet">
+                            Print
+                        </button>
+                    </div>
+                    {sheetError && (
+                        <div className="info-box info-box-red" role="alert">
+                            <p className="info-box-text">{sheetError}</p>
+                        </div>
+                    )}
+                    {/* Share Link Button: the puzzle encoded in a URL, for the editor or a read-only review */}
+                    <button
+                        onClick={handleCreateShareLinks}
+                        className="button button-gray open-button"
+                        title="Make links that carry the whole puzzle, to open in the editor or as a read-only review"
+                    >
+                        Share Link
+                    </button>
+                    {shareLinks && (
+                        <div className="info-box info-box-blue" style={{ marginTop: '0.75rem' }}>
+                            {[['review', 'Review link (read-only)'], ['edit', 'Editor link']].map(([kind, label]) => (
+                                <div key={kind} className="share-link-row">
+                                    <label htmlFor={`shareLink-${kind}`} className="label">{label}:</label>
+                                    <div className="input-flex-container">
+                                        <input
+                                            id={`shareLink-${kind}`}
+                                            type="text"
+                                            className="input-field"
+                                            value={shareLinks[kind]}
+                                            readOnly
+                                            onFocus={(e) => e.target.select()}
+                                        />
+                                        <button onClick={() => handleCopyShareLink(kind)} className="button button-blue">
+                                            Copy
+                                        </button>
+                                    </div>
+                                    {shareCopyFailed === kind && (
+                                        <div className="info-box info-box-red" role="alert" style={{ marginTop: '0.5rem', marginBottom: '0' }}>
+                                            <p className="info-box-text" style={{ fontSize: '0.875rem' }}>
+                                                The link could not be copied automatically. It is selected above: copy it with Ctrl+C (⌘C on a Mac).
+                                            </p>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                            <p className="library-item-meta">{shareLinks.review.length} characters; the board, words, theme and hint are all in the link.</p>
+                        </div>
+                    )}
+                    {/* Save Project Button: the lossless JSON project file */}
+                    <button
+                        onClick={handleSaveProject}
+                        className="button button-gray open-button"
+                        title="Save the whole puzzle, including word colors and metadata, as a .strands.json project file"
+                    >
+                        Save Project
+                    </button>
+                    {/* Open Button: loads a previously exported strands_layout.csv or a saved project file */}
+                    <button
+                        onClick={handleOpenLayoutClick}
+                        className="button button-gray open-button"
+                        title="Open a previously exported strands_layout.csv or a .strands.json project file"
+                    >
+                        Open Layout
+                    </button>
+                    <input
+                        type="file"
+                        accept=".csv,text/csv,.json,application/json"
+                        aria-label="Layout file"
+                        ref={layoutFileInputRef}
+                        onChange={handleLayoutFileChange}
+                        style={{ display: 'none' }}
+                    />
+                    {/* Problems found in the last opened file */}
+                    {importErrors.length > 0 && (
+                        <div className="info-box info-box-red" style={{ marginTop: '0.75rem' }}>
+                            <p className="info-box-text">The file could not be opened:</p>
+                            <ul className="info-box-list">
+                                {importErrors.map((error, index) => (
+                                    <li key={index}>{error}</li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
                 </div>
             </div>
         </>
@@ -1,8 +1,457 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { createEmptyGrid, placeLetters, serializeProject } from './puzzleCore';
 
-test('renders learn react link', () => {
+// The bundle export zips its files; tests decide whether that works.
+const mockGenerateAsync = jest.fn();
+jest.mock('jszip', () => jest.fn().mockImplementation(() => ({ file: jest.fn(), generateAsync: mockGenerateAsync })));
+
+beforeEach(() => {
+  localStorage.clear();
+  window.location.hash = '';
+});
+
+test('renders the puzzle editor', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: /word list editor/i })).toBeInTheDocument();
+  expect(screen.getByLabelText(/theme/i, { selector: 'input' })).toBeInTheDocument();
+});
+
+describe('Open Layout', () => {
+  const openFile = (contents, name) => {
+    fireEvent.change(screen.getByLabelText('Layout file'), { target: { files: [new File([contents], name)] } });
+  };
+
+  test('loads a strands_layout.csv into the editor', async () => {
+    render(<App />);
+    openFile('\uFEFFAnimals\nFind them\nabc\n0;0;0;0,0;1;0;1,0;2;0;2\n\n3;3', 'strands_layout.csv');
+
+    expect(await screen.findByDisplayValue('Animals')).toBeInTheDocument();
+    expect(screen.getByDisplayValue('Find them')).toBeInTheDocument();
+    expect(screen.getAllByRole('gridcell')).toHaveLength(9);
+    expect(screen.getByRole('gridcell', { name: /^Row 1, column 1, A, letter 1 of 3/ })).toBeInTheDocument();
+    expect(screen.getByRole('gridcell', { name: /^Row 1, column 3, C, letter 3 of 3/ })).toBeInTheDocument();
+  });
+
+  test('reports a broken file and keeps the current puzzle', async () => {
+    render(<App />);
+    fireEvent.change(screen.getByPlaceholderText('Enter theme...'), { target: { value: 'Mine' } });
+    openFile('Theme\nHint', 'strands_layout.csv');
+
+    expect(await screen.findByText(/the file could not be opened/i)).toBeInTheDocument();
+    expect(screen.getByDisplayValue('Mine')).toBeInTheDocument();
+  });
+});
+
+describe('Draft Library', () => {
+  const DRAFTS_KEY = 'strandsCreator.drafts';
+  const makeDraft = (id, themeText, updatedAt) => ({
+    id, name: '', themeText, hintText: '', letterRule: 'none', enteredWords: [], gridCells: createEmptyGrid(3, 3), updatedAt,
+  });
+  // Saves drafts the way another tab would, and fires the event the browser sends to this tab.
+  const saveInOtherTab = (drafts) => {
+    act(() => {
+      localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+      window.dispatchEvent(new StorageEvent('storage', { key: DRAFTS_KEY }));
+    });
+  };
+  const savedThemes = () => JSON.parse(localStorage.getItem(DRAFTS_KEY)).map(draft => draft.themeText).sort();
+
+  test('takes in drafts added and deleted in another tab', () => {
+    localStorage.setItem(DRAFTS_KEY, JSON.stringify([makeDraft('a', 'Alpha', 1)]));
+    render(<App />);
+    expect(screen.getByDisplayValue('Alpha')).toBeInTheDocument();
+
+    saveInOtherTab([makeDraft('a', 'Alpha', 1), makeDraft('b', 'Beta', 2)]);
+    expect(screen.getByText('Beta')).toBeInTheDocument();
+    expect(savedThemes()).toEqual(['Alpha', 'Beta']);
+
+    saveInOtherTab([makeDraft('a', 'Alpha', 1)]);
+    expect(screen.queryByText('Beta')).not.toBeInTheDocument();
+    expect(savedThemes()).toEqual(['Alpha']);
+  });
+
+  test('keeps the newer copy of a draft edited in both tabs', () => {
+    localStorage.setItem(DRAFTS_KEY, JSON.stringify([makeDraft('a', 'Alpha', 1)]));
+    render(<App />);
+    fireEvent.change(screen.getByPlaceholderText('Enter theme...'), { target: { value: 'Mine' } });
+
+    saveInOtherTab([makeDraft('a', 'Theirs', 2)]);
+    expect(screen.getByDisplayValue('Mine')).toBeInTheDocument();
+    expect(savedThemes()).toEqual(['Mine']);
+  });
+
+  test('reports saved drafts that cannot be read', () => {
+    localStorage.setItem(DRAFTS_KEY, '{not json');
+    render(<App />);
+    expect(screen.getByText(/drafts saved in this browser could not be read/i)).toBeInTheDocument();
+  });
+});
+
+describe('Undo and redo', () => {
+  const typeTheme = (text) => fireEvent.change(screen.getByPlaceholderText('Enter theme...'), { target: { value: text } });
+  const addWord = (text) => {
+    fireEvent.change(screen.getByPlaceholderText('Type a word...'), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Word' }));
+  };
+  const wordHandle = (text) => screen.queryByLabelText(new RegExp(`^Word \\d+ of \\d+, "${text}"`));
+
+  test('undoes a run of typing in the theme field as one step', () => {
+    render(<App />);
+    ['A', 'An', 'Ani'].forEach(typeTheme);
+    const theme = screen.getByPlaceholderText('Enter theme...');
+
+    fireEvent.keyDown(theme, { key: 'z', ctrlKey: true });
+    expect(theme).toHaveValue('');
+    fireEvent.keyDown(theme, { key: 'z', ctrlKey: true, shiftKey: true });
+    expect(theme).toHaveValue('Ani');
+  });
+
+  test('undoes each added word separately and redoes them in order', () => {
+    render(<App />);
+    addWord('cat');
+    addWord('dog');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(wordHandle('dog')).not.toBeInTheDocument();
+    expect(wordHandle('cat')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(wordHandle('cat')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Redo' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Redo' }));
+    expect(wordHandle('dog')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Redo' })).toBeDisabled();
+  });
+
+  test('a new edit after undoing clears the redo history', () => {
+    render(<App />);
+    addWord('cat');
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    addWord('dog');
+    expect(screen.getByRole('button', { name: 'Redo' })).toBeDisabled();
+  });
+
+  test('leaves Ctrl+Z in text areas to the browser', () => {
+    render(<App />);
+    typeTheme('Animals');
+    fireEvent.click(screen.getByRole('button', { name: /add many words at once/i }));
+    const bulkInput = screen.getByLabelText(/words/i, { selector: 'textarea' });
+
+    expect(fireEvent.keyDown(bulkInput, { key: 'z', ctrlKey: true })).toBe(true); // Not prevented.
+    expect(screen.getByPlaceholderText('Enter theme...')).toHaveValue('Animals');
+  });
+});
+
+describe('Tracing a word on the grid', () => {
+  const cell = (row, col) => screen.getByRole('gridcell', { name: new RegExp(`^Row ${row + 1}, column ${col + 1},`) });
+  const addAndSelect = (text) => {
+    fireEvent.change(screen.getByPlaceholderText('Type a word...'), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Word' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+  };
+  // Drags over the given [row, col] cells, pressing on the first and releasing over the last.
+  const trace = (...path) => {
+    const [first, ...rest] = path.map(([row, col]) => cell(row, col));
+    fireEvent.pointerDown(first, { pointerId: 1, pointerType: 'touch' });
+    rest.forEach(element => {
+      document.elementFromPoint.mockReturnValueOnce(element);
+      fireEvent.pointerMove(element, { pointerId: 1, pointerType: 'touch' });
+    });
+    fireEvent.pointerUp(path.length > 1 ? cell(...path[path.length - 1]) : first, { pointerId: 1, pointerType: 'touch' });
+  };
+
+  beforeEach(() => {
+    document.elementFromPoint = jest.fn();
+  });
+  afterEach(() => {
+    delete document.elementFromPoint;
+  });
+
+  test('places every traced letter', () => {
+    render(<App />);
+    addAndSelect('cat');
+    trace([0, 0], [0, 1], [1, 2]);
+
+    expect(cell(0, 0)).toHaveAccessibleName(/C, letter 1 of 3 in "cat"/);
+    expect(cell(0, 1)).toHaveAccessibleName(/A, letter 2 of 3 in "cat"/);
+    expect(cell(1, 2)).toHaveAccessibleName(/T, letter 3 of 3 in "cat"/);
+  });
+
+  test('drops the last letter when dragged back over the previous cell, and skips cells out of reach', () => {
+    render(<App />);
+    addAndSelect('cat');
+    trace([0, 0], [0, 1], [0, 2], [0, 1], [2, 3]);
+
+    expect(cell(0, 1)).toHaveAccessibleName(/A, letter 2 of 3/);
+    expect(cell(0, 2)).toHaveAccessibleName(/, empty$/);
+    expect(cell(2, 3)).toHaveAccessibleName(/, empty$/);
+    expect(screen.getByRole('button', { name: 'Selected' })).toBeInTheDocument();
+  });
+
+  test('a touch drag does not swallow the next click', async () => {
+    render(<App />);
+    addAndSelect('cat');
+    trace([0, 0], [0, 1]);
+    await act(() => new Promise(resolve => setTimeout(resolve, 0)));
+
+    fireEvent.click(cell(0, 2));
+    expect(cell(0, 2)).toHaveAccessibleName(/T, letter 3 of 3/);
+  });
+
+  test('the click a mouse drag ends with does not place another letter', () => {
+    render(<App />);
+    addAndSelect('cats');
+    trace([0, 0], [0, 1]);
+    fireEvent.click(cell(0, 1));
+
+    expect(cell(0, 1)).toHaveAccessibleName(/A, letter 2 of 4/);
+    expect(screen.getByRole('button', { name: 'Selected' })).toBeInTheDocument();
+  });
+});
+
+describe('Dictionary scan', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('fetches the Hebrew word list and reports when it is missing', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' }));
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Scan Board' }));
+
+    expect(await screen.findByText(/the hebrew word list could not be loaded/i)).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/dictionaries\/he\.txt$/));
+  });
+});
+
+describe('Printable sheet', () => {
+  const { Image } = window;
+  beforeEach(() => {
+    URL.createObjectURL = jest.fn(() => 'blob:sheet');
+    URL.revokeObjectURL = jest.fn();
+  });
+  afterEach(() => {
+    window.Image = Image;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  test('says so when the sheet cannot be made into a PNG', () => {
+    // An image that fails to load as soon as its source is set, as the SVG does in browsers that refuse it.
+    window.Image = class {
+      set src(value) {
+        this.onerror();
+      }
+    };
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'PNG' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent(/could not be made into a PNG image/i);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:sheet');
+  });
+});
+
+describe('Export check setting', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is remembered for the next session', () => {
+    const { unmount } = render(<App />);
+    fireEvent.change(screen.getByLabelText(/if items fail, export/i), { target: { value: 'block' } });
+    unmount();
+
+    render(<App />);
+    expect(screen.getByLabelText(/if items fail, export/i)).toHaveValue('block');
+  });
+
+  test('still works when the browser refuses to store it', () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    });
+    render(<App />);
+    fireEvent.change(screen.getByLabelText(/if items fail, export/i), { target: { value: 'block' } });
+    expect(screen.getByLabelText(/if items fail, export/i)).toHaveValue('block');
+  });
+});
+
+describe('Bulk word entry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const openBulkEntry = () => fireEvent.click(screen.getByRole('button', { name: /add many words at once/i }));
+  const chooseFile = (file) => fireEvent.change(screen.getByLabelText('Word list file'), { target: { files: [file] } });
+
+  test('adds the new words from a chosen file in one step', async () => {
+    render(<App />);
+    openBulkEntry();
+    chooseFile(new File(['cat\ndog, cat\nr2d2'], 'words.txt', { type: 'text/plain' }));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Add 2 Word(s)' }));
+    expect(screen.getByLabelText(/^Word 1 of 2, "cat"/)).toBeInTheDocument();
+    expect(screen.getByLabelText(/^Word 2 of 2, "dog"/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(screen.queryByLabelText(/^Word 1 of/)).not.toBeInTheDocument();
+  });
+
+  test('says so when the file cannot be read', () => {
+    jest.spyOn(FileReader.prototype, 'readAsText').mockImplementation(function () {
+      this.onerror();
+    });
+    render(<App />);
+    openBulkEntry();
+    chooseFile(new File(['cat'], 'words.txt', { type: 'text/plain' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not read "words.txt".');
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    openBulkEntry();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+});
+
+describe('Path editing', () => {
+  const cell = (row, col) => screen.getByRole('gridcell', { name: new RegExp(`^Row ${row + 1}, column ${col + 1},`) });
+
+  // Opens a project with "abcd" along the top row of a 3x4 board, its third letter missing.
+  const openWordWithGap = async () => {
+    const word = { id: 'w', text: 'abcd', color: '#3B82F6' };
+    let gridCells = placeLetters(createEmptyGrid(3, 4), word, [[0, 0], [0, 1]], 0);
+    gridCells = placeLetters(gridCells, word, [[0, 3]], 3);
+    const project = serializeProject({ themeText: 'Gaps', hintText: '', letterRule: 'none', enteredWords: [word], gridCells });
+    fireEvent.change(screen.getByLabelText('Layout file'), { target: { files: [new File([project], 'gaps.strands.json')] } });
+    await screen.findByDisplayValue('Gaps');
+  };
+
+  test('fills a gap, then truncates the path, each as one undoable edit', async () => {
+    render(<App />);
+    await openWordWithGap();
+    fireEvent.click(await screen.findByRole('button', { name: 'Path' }));
+
+    // The editor starts at the first gap.
+    fireEvent.click(cell(1, 2));
+    expect(cell(1, 2)).toHaveAccessibleName(/C, letter 3 of 4/);
+
+    fireEvent.click(cell(0, 1));
+    fireEvent.click(screen.getByRole('button', { name: 'Truncate from letter 2' }));
+    expect(cell(0, 0)).toHaveAccessibleName(/A, letter 1 of 4/);
+    [[0, 1], [1, 2], [0, 3]].forEach(([row, col]) => expect(cell(row, col)).toHaveAccessibleName(/, empty$/));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(cell(0, 3)).toHaveAccessibleName(/D, letter 4 of 4/);
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(cell(1, 2)).toHaveAccessibleName(/, empty$/);
+  });
+
+  test('explains why a letter cannot go in a cell', async () => {
+    render(<App />);
+    await openWordWithGap();
+    fireEvent.click(await screen.findByRole('button', { name: 'Path' }));
+    fireEvent.click(cell(2, 2));
+
+    expect(screen.getByText('Letter 3 must be next to letter 2.')).toBeInTheDocument();
+    expect(cell(2, 2)).toHaveAccessibleName(/, empty$/);
+  });
+});
+
+describe('Share links', () => {
+  afterEach(() => {
+    delete navigator.clipboard;
+  });
+
+  test('copies a link to the clipboard', async () => {
+    navigator.clipboard = { writeText: jest.fn(() => Promise.resolve()) };
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Share Link' }));
+    fireEvent.click(screen.getAllByRole('button', { name: 'Copy' })[0]);
+
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith(expect.stringContaining('#review=v1.'));
+    await act(() => Promise.resolve());
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('selects the link for copying by hand when the clipboard is refused', async () => {
+    navigator.clipboard = { writeText: jest.fn(() => Promise.reject(new DOMException('Denied', 'NotAllowedError'))) };
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Share Link' }));
+    fireEvent.click(screen.getAllByRole('button', { name: 'Copy' })[1]);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/could not be copied automatically/i);
+    expect(screen.getByLabelText(/editor link/i)).toHaveFocus();
+  });
+});
+
+describe('Puzzle collection', () => {
+  test('opens drafts saved with a status this version does not know as drafts', () => {
+    const draft = {
+      id: 'a', name: '', themeText: 'Future', hintText: '', letterRule: 'none', enteredWords: [],
+      gridCells: createEmptyGrid(3, 3), updatedAt: 1, status: 'archived',
+    };
+    localStorage.setItem('strandsCreator.drafts', JSON.stringify([draft]));
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Collection' }));
+
+    expect(screen.getByLabelText('Status of "Future"')).toHaveValue('draft');
+  });
+
+  test('shows why the bundle could not be written next to the export button', async () => {
+    mockGenerateAsync.mockRejectedValue(new Error('Out of memory'));
+    const draft = {
+      id: 'a', name: '', themeText: 'Soon', hintText: '', letterRule: 'none', enteredWords: [],
+      gridCells: createEmptyGrid(3, 3), updatedAt: 1, status: 'ready', publishDate: '2026-03-01',
+    };
+    localStorage.setItem('strandsCreator.drafts', JSON.stringify([draft]));
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Collection' }));
+    fireEvent.change(screen.getByLabelText('From:'), { target: { value: '2026-03-01' } });
+    fireEvent.change(screen.getByLabelText('To:'), { target: { value: '2026-03-01' } });
+    fireEvent.click(screen.getByRole('button', { name: /export bundle/i }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('The bundle could not be written (Out of memory).');
+  });
+});
+
+describe('Word colors', () => {
+  const BLUE = '#3B82F6';
+  const cell = (row, col) => screen.getByRole('gridcell', { name: new RegExp(`^Row ${row + 1}, column ${col + 1},`) });
+  const swatch = (text) => screen.getByRole('button', { name: new RegExp(`^Color of "${text}"`) });
+
+  // Opens a project with "ab" along the top row of a 3x3 board and "cd" in the same color, placed on the
+  // second row or not placed at all.
+  const openBlueWords = async (isCdPlaced) => {
+    const ab = { id: 'ab', text: 'ab', color: BLUE };
+    const cd = { id: 'cd', text: 'cd', color: BLUE };
+    let gridCells = placeLetters(createEmptyGrid(3, 3), ab, [[0, 0], [0, 1]], 0);
+    if (isCdPlaced) gridCells = placeLetters(gridCells, cd, [[1, 0], [1, 1]], 0);
+    const project = serializeProject({ themeText: 'Blue', hintText: '', letterRule: 'none', enteredWords: [ab, cd], gridCells });
+    fireEvent.change(screen.getByLabelText('Layout file'), { target: { files: [new File([project], 'blue.strands.json')] } });
+    await screen.findByDisplayValue('Blue');
+  };
+
+  test('keeps the colors of an opened puzzle, even for words that touch', async () => {
+    render(<App />);
+    await openBlueWords(true);
+
+    expect(swatch('ab')).toHaveStyle({ backgroundColor: BLUE });
+    expect(swatch('cd')).toHaveStyle({ backgroundColor: BLUE });
+  });
+
+  test('gives a word placed next to a word of the same color another color, undone with the placement', async () => {
+    render(<App />);
+    await openBlueWords(false);
+    fireEvent.click(screen.getAllByRole('button', { name: 'Select' })[1]);
+    fireEvent.click(cell(1, 0));
+
+    expect(cell(1, 0)).toHaveAccessibleName(/C, letter 1 of 2/);
+    expect(swatch('ab')).toHaveStyle({ backgroundColor: BLUE });
+    expect(swatch('cd')).not.toHaveStyle({ backgroundColor: BLUE });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(cell(1, 0)).toHaveAccessibleName(/empty$/);
+    expect(swatch('cd')).toHaveStyle({ backgroundColor: BLUE });
+    fireEvent.click(screen.getByRole('button', { name: 'Redo' }));
+    expect(swatch('cd')).not.toHaveStyle({ backgroundColor: BLUE });
+  });
 });
@@ -0,0 +1,1511 @@
+// Puzzle core: the rules of a Strands puzzle and its file formats, the layout generator, the ambiguity check,
+// the dictionary scan and the collection bundle, with no dependency on React or the browser UI, so that the
+// editor (App.js), the command-line tool (scripts/strands.mjs) and the tests work on puzzles the same way.
+//
+// A puzzle is { themeText, hintText, letterRule, enteredWords, gridCells }: enteredWords holds
+// { id, text, color, isSpangram?, isLocked?, isColorPicked? } and gridCells is a rows x cols array of null or
+// { letter, wordId, color, sequenceIndex, row, col }.
+
+// Predefined array of distinct colors for words: the classic palette, also given to the words of a CSV file,
+// which stores no colors.
+export const WORD_COLORS = [
+    '#EF4444', // Red 500
+    '#3B82F6', // Blue 500
+    '#10B981', // Green 500
+    '#F59E0B', // Amber 500
+    '#8B5CF6', // Violet 500
+    '#EC4899', // Pink 500
+    '#06B6D4', // Cyan 500
+    '#6B7280', // Gray 500
+    '#A855F7', // Purple 500
+    '#EAB308', // Yellow 500
+    '#F43F5E', // Rose 500
+    '#22C55E', // Emerald 500
+];
+
+// Default board dimensions (the classic 8 rows by 6 columns), and the range offered when choosing another size.
+export const DEFAULT_ROWS = 8;
+export const DEFAULT_COLS = 6;
+export const MIN_BOARD_SIZE = 3;
+export const MAX_BOARD_SIZE = 12;
+
+// Helper function to create an empty grid with all cells set to null.
+export const createEmptyGrid = (rows, cols) => Array(rows).fill(null).map(() => Array(cols).fill(null));
+
+// Rules for turning a typed word into the letters placed on the board, chosen per puzzle.
+// Words are always split into user-perceived characters (grapheme clusters), so a letter carrying niqqud or
+// other combining marks, or an emoji, takes a single cell; the Hebrew rules then normalize each letter.
+export const LETTER_RULES = [
+    { code: 'none', name: 'As typed' },
+    { code: 'he', name: 'Hebrew, without niqqud' },
+    { code: 'he-final', name: 'Hebrew, without niqqud, final letters as regular forms' },
+];
+
+// Hebrew points and cantillation marks (leaving out punctuation such as maqaf and sof pasuq in the same block).
+const HEBREW_MARKS = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g;
+// Hebrew final letter forms and the regular forms they are shown as under the 'he-final' rule.
+const HEBREW_FINAL_FORMS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+// Grapheme segmenter; browsers without Intl.Segmenter fall back to splitting by code point.
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+// Helper function to split a word into its letters under the given rule (see LETTER_RULES), keeping their case.
+// The number of letters is the number of cells the word takes on the board.
+export const splitLetters = (text, letterRule = 'none') => {
+    const normalized = text.normalize('NFC');
+    const graphemes = graphemeSegmenter
+        ? Array.from(graphemeSegmenter.segment(normalized), part => part.segment)
+        : Array.from(normalized);
+    if (letterRule !== 'he' && letterRule !== 'he-final') return graphemes;
+    return graphemes
+        .map(letter => letter.replace(HEBREW_MARKS, ''))
+        .map(letter => (letterRule === 'he-final' && HEBREW_FINAL_FORMS[letter]) || letter)
+        .filter(letter => letter !== ''); // A stray mark on its own is not a letter.
+};
+
+// Helper function to get the letters of a word as they are shown on the board.
+export const getBoardLetters = (text, letterRule = 'none') => splitLetters(text, letterRule).map(letter => letter.toUpperCase());
+
+// Characters a bulk-entered word may contain: letters with their marks, spaces, hyphens, apostrophes,
+// and the Hebrew maqaf, geresh and gershayim.
+const WORD_CHARACTERS = /^[\p{L}\p{M} '\-\u05BE\u05F3\u05F4]+$/u;
+
+// Helper function to parse a pasted or loaded word list (separated by new lines, commas or tabs) for bulk entry.
+// Returns an array of { text, status, reason } where status is 'new' (will be added), 'duplicate' (already in the
+// list, or earlier in the pasted text) or 'invalid' (contains digits or symbols).
+export const parseWordList = (content, enteredWords, letterRule = 'none') => {
+    const boardTextOf = (text) => getBoardLetters(text, letterRule).join('');
+    const seen = new Set(enteredWords.map(word => boardTextOf(word.text)));
+    return content
+        .replace(/^\uFEFF/, '')
+        .split(/[\n\r,\t]+/)
+        .map(part => part.trim())
+        .filter(part => part !== '')
+        .map(text => {
+            if (!WORD_CHARACTERS.test(text)) {
+                return { text, status: 'invalid', reason: 'contains characters other than letters' };
+            }
+            const boardText = boardTextOf(text);
+            if (seen.has(boardText)) {
+                return { text, status: 'duplicate', reason: 'already in the list' };
+            }
+            seen.add(boardText);
+            return { text, status: 'new', reason: '' };
+        });
+};
+
+// Helper function to check if two cell coordinates are neighbors (including diagonals).
+export const isNeighbor = (coords1, coords2) => {
+    if (!coords1 || !coords2) return false; // Safety check
+    const [r1, c1] = coords1;
+    const [r2, c2] = coords2;
+
+    const dr = Math.abs(r1 - r2);
+    const dc = Math.abs(c1 - c2);
+
+    // Cells are neighbors if the difference in row and column is at most 1,
+    // and they are not the same cell (dr !== 0 || dc !== 0).
+    return dr <= 1 && dc <= 1 && (dr !== 0 || dc !== 0);
+};
+
+// Helper function to find which edges of the grid a word's placed path touches.
+// Returns { placedCount, top, bottom, left, right }.
+export const getPathEdges = (gridCells, wordId) => {
+    const lastRow = gridCells.length - 1;
+    const lastCol = gridCells[0].length - 1;
+    const edges = { placedCount: 0, top: false, bottom: false, left: false, right: false };
+    gridCells.flat().forEach(cell => {
+        if (cell && cell.wordId === wordId) {
+            edges.placedCount++;
+            edges.top = edges.top || cell.row === 0;
+            edges.bottom = edges.bottom || cell.row === lastRow;
+            edges.left = edges.left || cell.col === 0;
+            edges.right = edges.right || cell.col === lastCol;
+        }
+    });
+    return edges;
+};
+
+// Helper function to place consecutive letters of a word on a copy of the grid.
+// `coordsList` holds the [row, col] of each letter, starting with the letter at startIndex.
+export const placeLetters = (gridCells, word, coordsList, startIndex, letterRule = 'none') => {
+    const letters = getBoardLetters(word.text, letterRule);
+    const newGridCells = gridCells.map(row => [...row]);
+    coordsList.forEach(([row, col], offset) => {
+        newGridCells[row][col] = {
+            letter: letters[startIndex + offset],
+            wordId: word.id,
+            color: word.color,
+            sequenceIndex: startIndex + offset,
+            row,
+            col
+        };
+    });
+    return newGridCells;
+};
+
+// Helper function to check if two cells hold consecutive letters of the same word, i.e. a segment of its path.
+export const isPathSegment = (gridCells, [r1, c1], [r2, c2]) => {
+    const cell1 = gridCells[r1][c1];
+    const cell2 = gridCells[r2][c2];
+    return Boolean(cell1 && cell2 && cell1.wordId === cell2.wordId && Math.abs(cell1.sequenceIndex - cell2.sequenceIndex) === 1);
+};
+
+// Helper function to check if a step between two neighboring cells would cross a path already on the grid.
+// Only diagonal steps can cross: (0,0)->(1,1) crosses a path that goes between (0,1) and (1,0).
+export const wouldCrossPath = (gridCells, [r1, c1], [r2, c2]) => {
+    if (r1 === r2 || c1 === c2) return false;
+    return isPathSegment(gridCells, [r1, c2], [r2, c1]);
+};
+
+// Helper function to find every pair of path segments that cross each other diagonally on the grid.
+// Returns an array of [segment1, segment2], each segment being { wordId, from: [row, col], to: [row, col] }.
+export const findCrossings = (gridCells) => {
+    const crossings = [];
+    for (let r = 0; r + 1 < gridCells.length; r++) {
+        for (let c = 0; c + 1 < gridCells[r].length; c++) {
+            if (isPathSegment(gridCells, [r, c], [r + 1, c + 1]) && isPathSegment(gridCells, [r, c + 1], [r + 1, c])) {
+                crossings.push([
+                    { wordId: gridCells[r][c].wordId, from: [r, c], to: [r + 1, c + 1] },
+                    { wordId: gridCells[r][c + 1].wordId, from: [r, c + 1], to: [r + 1, c] },
+                ]);
+            }
+        }
+    }
+    return crossings;
+};
+
+// Helper function to list a word's placed cells by letter index: slots[i] is the cell holding letter i, or null.
+export const getPathSlots = (gridCells, wordId, length) => {
+    const slots = Array(length).fill(null);
+    gridCells.flat().forEach(cell => {
+        if (cell && cell.wordId === wordId && cell.sequenceIndex < length) slots[cell.sequenceIndex] = cell;
+    });
+    return slots;
+};
+
+// Helper function to find the gaps in a word's path: letter indexes that are not placed although a later letter is.
+export const findPathGaps = (slots) => {
+    const lastPlacedIndex = slots.reduce((last, cell, index) => (cell ? index : last), -1);
+    return slots.map((cell, index) => index).filter(index => index < lastPlacedIndex && !slots[index]);
+};
+
+// Helper function to check whether letter `index` of a word may go in the cell at [row, col]: the cell must be
+// empty and next to the letters before and after it (where those are placed), without crossing another path.
+// The letter's current cell is ignored, so the same check serves for moving a letter.
+// Returns null when the letter may go there, or a message saying why not.
+export const checkPathCell = (gridCells, slots, index, [row, col]) => {
+    if (gridCells[row][col]) return 'That cell is not empty.';
+    const grid = gridCells.map(r => [...r]);
+    if (slots[index]) grid[slots[index].row][slots[index].col] = null;
+    for (const neighbor of [slots[index - 1], slots[index + 1]]) {
+        if (!neighbor) continue;
+        const coords = [neighbor.row, neighbor.col];
+        if (!isNeighbor(coords, [row, col])) {
+            return `Letter ${index + 1} must be next to letter ${neighbor.sequenceIndex + 1}.`;
+        }
+        if (wouldCrossPath(grid, coords, [row, col])) {
+            return `Letter ${index + 1} would cross another path diagonally there.`;
+        }
+    }
+    return null;
+};
+
+// Helper function to check whether the next letter of a word (letter `letterIndex`) may be placed in the cell
+// at [row, col]: the cell must be empty, and every letter after the first must go next to the letter placed
+// before it (at lastPlacedCoords) without crossing another path diagonally.
+// Returns null when the letter may go there, or why not: 'occupied', 'not-adjacent' or 'crossing'.
+export const checkPlacement = (gridCells, letterIndex, lastPlacedCoords, [row, col]) => {
+    if (gridCells[row][col]) return 'occupied';
+    if (letterIndex === 0) return null;
+    if (!isNeighbor(lastPlacedCoords, [row, col])) return 'not-adjacent';
+    if (wouldCrossPath(gridCells, lastPlacedCoords, [row, col])) return 'crossing';
+    return null;
+};
+
+// Offsets of the eight cells around a cell, used when growing word paths.
+export const NEIGHBOR_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+// Helper function to check the spangram rules: exactly one word is flagged, and its placed path
+// touches two opposite sides of the board (top and bottom, or left and right).
+// Returns { status, message } where status is 'ok', 'warning' or 'error'.
+export const validateSpangram = (enteredWords, gridCells, letterRule = 'none') => {
+    const spangrams = enteredWords.filter(word => word.isSpangram);
+    if (spangrams.length === 0) {
+        return { status: 'warning', message: 'No word is marked as the spangram.' };
+    }
+    if (spangrams.length > 1) {
+        return {
+            status: 'warning',
+            message: `${spangrams.length} words are marked as the spangram (${spangrams.map(word => word.text).join(', ')}); a puzzle has exactly one.`
+        };
+    }
+
+    const spangram = spangrams[0];
+    const edges = getPathEdges(gridCells, spangram.id);
+    if (edges.placedCount < splitLetters(spangram.text, letterRule).length) {
+        return { status: 'warning', message: `Spangram "${spangram.text}" is not fully placed yet.` };
+    }
+    if (edges.top && edges.bottom) {
+        return { status: 'ok', message: `Spangram "${spangram.text}" spans the board from top to bottom.` };
+    }
+    if (edges.left && edges.right) {
+        return { status: 'ok', message: `Spangram "${spangram.text}" spans the board from side to side.` };
+    }
+    return { status: 'error', message: `Spangram "${spangram.text}" must touch two opposite edges of the board.` };
+};
+
+// Shortest theme word accepted by the publish checklist, in board letters.
+export const MIN_THEME_WORD_LENGTH = 4;
+
+// Helper function to evaluate the publish checklist for a puzzle.
+// Returns an array of { id, label, passed, details }, where details lists what is wrong when the item fails.
+export const evaluateReadiness = ({ themeText, hintText, enteredWords, gridCells, letterRule = 'none' }) => {
+    const rows = gridCells.length;
+    const cols = gridCells[0].length;
+    const lettersById = new Map(enteredWords.map(word => [word.id, getBoardLetters(word.text, letterRule)]));
+    const totalLetters = enteredWords.reduce((sum, word) => sum + lettersById.get(word.id).length, 0);
+    const emptyCells = gridCells.flat().filter(cell => cell === null).length;
+
+    // Words whose placed letters are not exactly indexes 0..n-1 along neighboring cells.
+    const placementProblems = [];
+    enteredWords.forEach(word => {
+        const path = gridCells.flat()
+            .filter(cell => cell && cell.wordId === word.id)
+            .sort((a, b) => a.sequenceIndex - b.sequenceIndex);
+        const length = lettersById.get(word.id).length;
+        const missing = Array.from({ length }, (_, index) => index).filter(index => !path.some(cell => cell.sequenceIndex === index));
+        if (path.length === 0) {
+            placementProblems.push(`"${word.text}" is not placed.`);
+        } else if (missing.length > 0) {
+            placementProblems.push(`"${word.text}" is missing letter(s) ${missing.map(index => index + 1).join(', ')}.`);
+        } else if (path.some((cell, index) => index > 0 && !isNeighbor([path[index - 1].row, path[index - 1].col], [cell.row, cell.col]))) {
+            placementProblems.push(`"${word.text}" has consecutive letters that are not neighbors.`);
+        }
+    });
+
+    // Words spelled with the same board letters, and words that are too short.
+    const seenTexts = new Map();
+    const duplicates = [];
+    enteredWords.forEach(word => {
+        const boardText = lettersById.get(word.id).join('');
+        if (seenTexts.has(boardText)) {
+            duplicates.push(`"${word.text}" repeats "${seenTexts.get(boardText)}".`);
+        } else {
+            seenTexts.set(boardText, word.text);
+        }
+    });
+    const tooShort = enteredWords
+        .filter(word => lettersById.get(word.id).length < MIN_THEME_WORD_LENGTH)
+        .map(word => `"${word.text}" has fewer than ${MIN_THEME_WORD_LENGTH} letters.`);
+
+    const spangram = validateSpangram(enteredWords, gridCells, letterRule);
+
+    return [
+        {
+            id: 'letters',
+            label: `Letter total fills the ${rows}x${cols} board`,
+            passed: totalLetters === rows * cols,
+            details: totalLetters === rows * cols ? [] : [`The words have ${totalLetters} letters for ${rows * cols} cells.`],
+        },
+        {
+            id: 'coverage',
+            label: 'Every cell is covered',
+            passed: emptyCells === 0,
+            details: emptyCells === 0 ? [] : [`${emptyCells} cell(s) are empty.`],
+        },
+        {
+            id: 'placement',
+            label: 'Every word is fully placed in order',
+            passed: enteredWords.length > 0 && placementProblems.length === 0,
+            details: enteredWords.length === 0 ? ['There are no words yet.'] : placementProblems,
+        },
+        {
+            id: 'words',
+            label: `No duplicate words or words under ${MIN_THEME_WORD_LENGTH} letters`,
+            passed: duplicates.length === 0 && tooShort.length === 0,
+            details: [...duplicates, ...tooShort],
+        },
+        {
+            id: 'clues',
+            label: 'Theme and hint are filled in',
+            passed: themeText.trim() !== '' && hintText.trim() !== '',
+            details: [
+                ...(themeText.trim() === '' ? ['The theme is empty.'] : []),
+                ...(hintText.trim() === '' ? ['The hint is empty.'] : []),
+            ],
+        },
+        {
+            id: 'spangram',
+            label: 'One spangram spans the board',
+            passed: spangram.status === 'ok',
+            details: spangram.status === 'ok' ? [] : [spangram.message],
+        },
+    ];
+};
+
+// Most routes findWordRoutes lists for one word by default.
+export const MAX_WORD_ROUTES = 200;
+
+// Helper function to list the distinct routes on the grid that spell the given text under the isNeighbor rule.
+// A route is an array of [row, col] in letter order; routes covering the same set of cells count once.
+// Stops after maxRoutes routes so that boards full of repeated letters stay fast.
+export const findWordRoutes = (gridCells, text, letterRule = 'none', maxRoutes = MAX_WORD_ROUTES) => {
+    const rows = gridCells.length;
+    const cols = gridCells[0].length;
+    const letters = getBoardLetters(text, letterRule); // Same letters handleCellClick places.
+    const routes = [];
+    const seenKeys = new Set();
+    const used = gridCells.map(row => row.map(() => false));
+
+    const extend = (route) => {
+        if (routes.length >= maxRoutes) return;
+        if (route.length === letters.length) {
+            const key = route.map(([r, c]) => r * cols + c).sort((a, b) => a - b).join(',');
+            if (!seenKeys.has(key)) {
+                seenKeys.add(key);
+                routes.push(route);
+            }
+            return;
+        }
+        const [lr, lc] = route[route.length - 1];
+        NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+            const nr = lr + dr;
+            const nc = lc + dc;
+            if (nr < 0 || nr >= rows || nc < 0 || nc >= cols || used[nr][nc]) return;
+            const cell = gridCells[nr][nc];
+            if (!cell || cell.letter !== letters[route.length]) return;
+            used[nr][nc] = true;
+            extend([...route, [nr, nc]]);
+            used[nr][nc] = false;
+        });
+    };
+
+    gridCells.forEach((row, r) => row.forEach((cell, c) => {
+        if (cell && cell.letter === letters[0]) {
+            used[r][c] = true;
+            extend([[r, c]]);
+            used[r][c] = false;
+        }
+    }));
+    return routes;
+};
+
+// Weights of the difficulty factors in the overall score (see evaluateDifficulty); they add up to 100.
+const DIFFICULTY_WEIGHTS = { turns: 20, diagonals: 15, backtracking: 15, straightWords: 15, wordLength: 10, spangram: 10, decoys: 15 };
+
+// Difficulty labels by score: below 35 is easy, below 65 medium, and the rest hard.
+const DIFFICULTY_LEVELS = [{ below: 35, label: 'Easy' }, { below: 65, label: 'Medium' }, { below: Infinity, label: 'Hard' }];
+
+// Helper function to estimate how hard a layout is to solve, from the paths of the fully placed words.
+// Each factor scores from 0 (easy) to 100 (hard) and the estimate is their weighted average:
+// - turns: how often a path changes direction;
+// - diagonals: the share of diagonal steps;
+// - backtracking: the share of steps against the reading direction or upwards;
+// - straightWords: how few words read straight along a row in the reading direction;
+// - wordLength: average word length, from 4 letters (0) to 8 or more (100);
+// - spangram: side to side (25) reads more naturally than top to bottom (75), both is 50;
+// - decoys: other routes on the board spelling a theme word, no dictionary needed (two per word is 100).
+// The reading direction is left to right, or right to left under the Hebrew letter rules.
+// Returns { score, label, factors: [{ id, label, score, weight, detail }] }, or null while no word is fully placed.
+export const evaluateDifficulty = ({ enteredWords, gridCells, letterRule = 'none' }) => {
+    const forward = letterRule === 'he' || letterRule === 'he-final' ? -1 : 1; // Column step of the reading direction.
+    const directionName = forward === 1 ? 'left to right' : 'right to left';
+    const cols = gridCells[0].length;
+    const routeKey = (route) => route.map(([r, c]) => r * cols + c).sort((a, b) => a - b).join(',');
+    const boardTextOf = (text) => getBoardLetters(text, letterRule).join('');
+
+    const placed = enteredWords.map(word => {
+        const slots = getPathSlots(gridCells, word.id, getBoardLetters(word.text, letterRule).length);
+        const path = slots.map(cell => cell && [cell.row, cell.col]);
+        const steps = path.slice(1).map((coords, index) => coords && path[index] && [coords[0] - path[index][0], coords[1] - path[index][1]]);
+        return { word, path, steps };
+    }).filter(({ path }) => path.length > 0 && path.every(Boolean));
+    if (placed.length === 0) return null;
+
+    const percent = (part, whole) => (whole === 0 ? 0 : Math.round((part / whole) * 100));
+    const allSteps = placed.flatMap(({ steps }) => steps);
+    const turnCount = placed.reduce((sum, { steps }) => sum + steps.filter((step, index) => (
+        index > 0 && (step[0] !== steps[index - 1][0] || step[1] !== steps[index - 1][1])
+    )).length, 0);
+    const turnChances = placed.reduce((sum, { steps }) => sum + Math.max(0, steps.length - 1), 0);
+    const diagonalCount = allSteps.filter(([dr, dc]) => dr !== 0 && dc !== 0).length;
+    const backwardCount = allSteps.filter(([dr, dc]) => dc === -forward || (dc === 0 && dr < 0)).length;
+    const straightCount = placed.filter(({ steps }) => steps.length > 0 && steps.every(([dr, dc]) => dr === 0 && dc === forward)).length;
+    const averageLength = placed.reduce((sum, { path }) => sum + path.length, 0) / placed.length;
+
+    // Other routes spelling a placed word, leaving out routes intended for another word with the same letters.
+    const intendedKeys = placed.map(({ word, path }) => ({ text: boardTextOf(word.text), key: routeKey(path) }));
+    const decoyCount = placed.reduce((sum, { word, path }) => {
+        const ownKey = routeKey(path);
+        const takenKeys = new Set(intendedKeys.filter(entry => entry.text === boardTextOf(word.text)).map(entry => entry.key));
+        takenKeys.add(ownKey);
+        return sum + findWordRoutes(gridCells, word.text, letterRule, 20).filter(route => !takenKeys.has(routeKey(route))).length;
+    }, 0);
+
+    const factors = [];
+    const addFactor = (id, label, score, detail) => {
+        factors.push({ id, label, score: Math.max(0, Math.min(100, Math.round(score))), weight: DIFFICULTY_WEIGHTS[id], detail });
+    };
+    if (turnChances > 0) {
+        addFactor('turns', 'Turns in paths', percent(turnCount, turnChances), `${turnCount} turn(s) in ${allSteps.length} step(s).`);
+    }
+    if (allSteps.length > 0) {
+        addFactor('diagonals', 'Diagonal steps', percent(diagonalCount, allSteps.length), `${diagonalCount} of ${allSteps.length} step(s) are diagonal.`);
+        addFactor('backtracking', 'Steps going back', percent(backwardCount, allSteps.length),
+            `${backwardCount} of ${allSteps.length} step(s) go against the reading direction (${directionName}) or upwards.`);
+    }
+    addFactor('straightWords', 'Words not read straight', 100 - percent(straightCount, placed.length),
+        `${straightCount} of ${placed.length} word(s) read straight ${directionName}.`);
+    addFactor('wordLength', 'Word length', ((averageLength - 4) / 4) * 100, `Words average ${averageLength.toFixed(1)} letters.`);
+
+    const spangram = placed.find(({ word }) => word.isSpangram);
+    if (spangram) {
+        const edges = getPathEdges(gridCells, spangram.word.id);
+        const spansSides = edges.left && edges.right;
+        const spansTopBottom = edges.top && edges.bottom;
+        if (spansSides || spansTopBottom) {
+            addFactor('spangram', 'Spangram orientation', spansSides && spansTopBottom ? 50 : spansSides ? 25 : 75,
+                `The spangram spans ${spansSides && spansTopBottom ? 'both ways' : spansSides ? 'side to side' : 'top to bottom'}.`);
+        }
+    }
+    addFactor('decoys', 'Decoy routes', (decoyCount / placed.length) * 50,
+        `${decoyCount} other route(s) on the board spell theme words.`);
+
+    const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+    const score = Math.round(factors.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight);
+    return { score, label: DIFFICULTY_LEVELS.find(level => score < level.below).label, factors };
+};
+
+// Helper function to create a small seeded random number generator (mulberry32),
+// so that each "Generate Layout" attempt explores the board in a different but repeatable order.
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Helper function to return a shuffled copy of an array using the given random number generator.
+const shuffle = (items, random) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Helper function to check whether some subset of the given lengths adds up exactly to the target.
+const canSumTo = (target, lengths) => {
+    const reachable = new Set([0]);
+    lengths.forEach(length => {
+        [...reachable].forEach(sum => {
+            if (sum + length <= target) reachable.add(sum + length);
+        });
+    });
+    return reachable.has(target);
+};
+
+// Helper function to find the connected areas of empty cells (using the isNeighbor rule).
+// Returns an array of areas, each an array of [row, col] coordinates.
+const getEmptyAreas = (occupied) => {
+    const rows = occupied.length;
+    const cols = occupied[0].length;
+    const seen = occupied.map(row => row.map(() => false));
+    const areas = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (occupied[r][c] || seen[r][c]) continue;
+            const area = [];
+            const stack = [[r, c]];
+            seen[r][c] = true;
+            while (stack.length > 0) {
+                const [cr, cc] = stack.pop();
+                area.push([cr, cc]);
+                NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+                    const nr = cr + dr;
+                    const nc = cc + dc;
+                    if (nr >= 0 && nr < rows && nc >= 0 && nc < cols && !occupied[nr][nc] && !seen[nr][nc]) {
+                        seen[nr][nc] = true;
+                        stack.push([nr, nc]);
+                    }
+                });
+            }
+            areas.push(area);
+        }
+    }
+    return areas;
+};
+
+// Helper function to build a key identifying the step between two cells, the same in either direction.
+const getSegmentKey = (cols, [r1, c1], [r2, c2]) => {
+    const index1 = r1 * cols + c1;
+    const index2 = r2 * cols + c2;
+    return index1 < index2 ? `${index1}-${index2}` : `${index2}-${index1}`;
+};
+
+// Generator yielding every path of the given length through the cell at [row, col], over empty cells only.
+// The cell may sit at any position in the path; each path is an array of [row, col] in letter order.
+// Paths are produced lazily because long words can have a very large number of them; every cell visited
+// counts against budget.steps, and the generator stops once budget.maxSteps is exceeded.
+// `segments` holds the keys (see getSegmentKey) of the steps of paths already placed, so no path crosses them
+// diagonally. The steps of each yielded path stay in `segments` until the next path is requested,
+// so paths searched for in the meantime avoid crossing it too.
+function* findPathsThroughCell(occupied, [row, col], length, random, budget, segments) {
+    const rows = occupied.length;
+    const cols = occupied[0].length;
+    const used = occupied.map(r => [...r]);
+    used[row][col] = true;
+
+    // Grows an arm of `count` more cells from the end of `arm`, yielding each complete arm.
+    function* growArm(arm, count) {
+        if (count === 0) {
+            yield arm;
+            return;
+        }
+        const [lr, lc] = arm[arm.length - 1];
+        for (const [dr, dc] of shuffle(NEIGHBOR_OFFSETS, random)) {
+            if (++budget.steps > budget.maxSteps) return;
+            const nr = lr + dr;
+            const nc = lc + dc;
+            if (nr < 0 || nr >= rows || nc < 0 || nc >= cols || used[nr][nc]) continue;
+            if (dr !== 0 && dc !== 0 && segments.has(getSegmentKey(cols, [lr, nc], [nr, lc]))) continue;
+            const segmentKey = getSegmentKey(cols, [lr, lc], [nr, nc]);
+            used[nr][nc] = true;
+            segments.add(segmentKey);
+            yield* growArm([...arm, [nr, nc]], count - 1);
+            segments.delete(segmentKey);
+            used[nr][nc] = false;
+        }
+    }
+
+    // The cell is letter number `position`; the "before" arm holds the letters in front of it, reversed.
+    const positions = shuffle(Array.from({ length }, (_, index) => index), random);
+    for (const position of positions) {
+        for (const beforeArm of growArm([[row, col]], position)) {
+            for (const afterArm of growArm([[row, col]], length - 1 - position)) {
+                yield [...beforeArm.slice(1).reverse(), ...afterArm];
+            }
+        }
+    }
+}
+
+// Helper function to search for complete board layouts for the entered words.
+// Words flagged isLocked whose path is fully placed keep their cells; every other word is (re)placed so that
+// all cells are covered, consecutive letters are neighbors (isNeighbor), no two paths cross diagonally
+// and the spangram touches two opposite edges.
+// Returns { solutions, message }: solutions is an array of gridCells arrays (at most maxSolutions),
+// and message explains why none were found when it is empty.
+export const generateLayouts = (enteredWords, gridCells, { maxSolutions = 5, maxSteps = 20000, letterRule = 'none' } = {}) => {
+    const rows = gridCells.length;
+    const cols = gridCells[0].length;
+    // The board letters of every word; their count is the number of cells the word needs.
+    const lettersById = new Map(enteredWords.map(word => [word.id, getBoardLetters(word.text, letterRule)]));
+    const lengthOf = (word) => lettersById.get(word.id).length;
+
+    // Split the words into locked paths to keep and words to place.
+    const lockedIds = new Set(enteredWords
+        .filter(word => word.isLocked && getPathEdges(gridCells, word.id).placedCount === lengthOf(word))
+        .map(word => word.id));
+    const wordsToPlace = enteredWords.filter(word => !lockedIds.has(word.id));
+    const baseGrid = gridCells.map(row => row.map(cell => (cell && lockedIds.has(cell.wordId) ? cell : null)));
+    const freeCellCount = baseGrid.flat().filter(cell => cell === null).length;
+    const letterCount = wordsToPlace.reduce((sum, word) => sum + lengthOf(word), 0);
+
+    if (enteredWords.length === 0) {
+        return { solutions: [], message: 'Add some words before generating a layout.' };
+    }
+    if (letterCount !== freeCellCount) {
+        return {
+            solutions: [],
+            message: `The words to place have ${letterCount} letters but ${freeCellCount} cells are free` +
+                `${lockedIds.size > 0 ? ' around the locked paths' : ''}; they must be equal to fill the board.`
+        };
+    }
+    const spangrams = enteredWords.filter(word => word.isSpangram);
+    if (spangrams.length > 1) {
+        return { solutions: [], message: 'More than one word is marked as the spangram; mark exactly one or none.' };
+    }
+    const spangram = spangrams.find(word => !lockedIds.has(word.id));
+    if (spangram && lengthOf(spangram) < Math.min(rows, cols)) {
+        return {
+            solutions: [],
+            message: `The spangram "${spangram.text}" has ${lengthOf(spangram)} letters, too few to reach across a ${rows}x${cols} board.`
+        };
+    }
+    const lockedSpangram = spangrams.find(word => lockedIds.has(word.id));
+    if (lockedSpangram) {
+        const edges = getPathEdges(gridCells, lockedSpangram.id);
+        if (!(edges.top && edges.bottom) && !(edges.left && edges.right)) {
+            return { solutions: [], message: `The locked spangram "${lockedSpangram.text}" does not touch two opposite edges.` };
+        }
+    }
+
+    // Checks that the empty areas around already placed paths can still be filled by the remaining words.
+    const areasCanBeFilled = (occupied, remaining) => {
+        const lengths = remaining.map(lengthOf);
+        const shortest = Math.min(...lengths);
+        return getEmptyAreas(occupied).every(area => area.length >= shortest && canSumTo(area.length, lengths));
+    };
+
+    const initialOccupied = baseGrid.map(row => row.map(cell => cell !== null));
+    // Diagonal steps of the locked paths, which the generated paths must not cross.
+    const lockedSegments = [];
+    baseGrid.forEach((row, r) => row.forEach((cell, c) => {
+        [[r + 1, c + 1], [r + 1, c - 1]].forEach(([nr, nc]) => {
+            if (nr < rows && nc >= 0 && nc < cols && isPathSegment(baseGrid, [r, c], [nr, nc])) {
+                lockedSegments.push(getSegmentKey(cols, [r, c], [nr, nc]));
+            }
+        });
+    }));
+
+    if (wordsToPlace.length > 0 && !areasCanBeFilled(initialOccupied, wordsToPlace)) {
+        return {
+            solutions: [],
+            message: 'The free cells left by the locked paths form an area that no combination of the remaining words can fill exactly.'
+        };
+    }
+
+    const solutions = [];
+    const signatures = new Set();
+    let exhausted = false; // True once a complete search proved that no layout exists.
+
+    // Each attempt uses a different random order, so the solutions found differ across the board.
+    for (let attempt = 0; attempt < maxSolutions * 2 && solutions.length < maxSolutions && !exhausted; attempt++) {
+        const random = createRandom(attempt + 1);
+        const occupied = initialOccupied.map(row => [...row]);
+        const segments = new Set(lockedSegments);
+        const placedPaths = new Map(); // word id -> path
+        const budget = { steps: 0, maxSteps };
+
+        const search = (remaining) => {
+            if (remaining.length === 0) return true;
+
+            // The first empty cell in reading order must belong to one of the remaining words.
+            let target = null;
+            for (let r = 0; r < rows && !target; r++) {
+                for (let c = 0; c < cols && !target; c++) {
+                    if (!occupied[r][c]) target = [r, c];
+                }
+            }
+
+            const triedTexts = new Set();
+            for (const word of shuffle(remaining, random)) {
+                // Words with the same text and role lead to the same layouts; try only one of them.
+                const key = `${lettersById.get(word.id).join('')}:${word.isSpangram ? 1 : 0}`;
+                if (triedTexts.has(key)) continue;
+                triedTexts.add(key);
+
+                const rest = remaining.filter(other => other !== word);
+                for (const path of findPathsThroughCell(occupied, target, lengthOf(word), random, budget, segments)) {
+                    if (word.isSpangram) {
+                        const pathRows = path.map(([r]) => r);
+                        const pathCols = path.map(([, c]) => c);
+                        const spansVertically = pathRows.includes(0) && pathRows.includes(rows - 1);
+                        const spansHorizontally = pathCols.includes(0) && pathCols.includes(cols - 1);
+                        if (!spansVertically && !spansHorizontally) continue;
+                    }
+
+                    path.forEach(([r, c]) => { occupied[r][c] = true; });
+                    placedPaths.set(word.id, path);
+                    if ((rest.length === 0 || areasCanBeFilled(occupied, rest)) && search(rest)) return true;
+                    placedPaths.delete(word.id);
+                    path.forEach(([r, c]) => { occupied[r][c] = false; });
+                    if (budget.steps > maxSteps) return false;
+                }
+            }
+            return false;
+        };
+
+        if (search(wordsToPlace)) {
+            const solution = baseGrid.map(row => [...row]);
+            wordsToPlace.forEach(word => {
+                placedPaths.get(word.id).forEach(([r, c], sequenceIndex) => {
+                    solution[r][c] = {
+                        letter: lettersById.get(word.id)[sequenceIndex],
+                        wordId: word.id,
+                        color: word.color,
+                        sequenceIndex,
+                        row: r,
+                        col: c
+                    };
+                });
+            });
+            const signature = JSON.stringify(solution.map(row => row.map(cell => `${cell.wordId}:${cell.sequenceIndex}`)));
+            if (!signatures.has(signature)) {
+                signatures.add(signature);
+                solutions.push(solution);
+            }
+        } else if (budget.steps <= maxSteps) {
+            exhausted = true;
+        }
+    }
+
+    if (solutions.length > 0) {
+        return { solutions, message: '' };
+    }
+    return {
+        solutions: [],
+        message: exhausted
+            ? 'These words cannot tile the board: no arrangement covers every cell with connected, non-crossing word paths' +
+                `${spangram ? ' while the spangram touches two opposite edges' : ''}.`
+            : 'No layout was found within the search limit. Try again after locking a path or two, or adjusting the words.'
+    };
+};
+
+// Helper function to check every entered word for alternate routes and whether the intended solution is unique.
+// Returns { words, solutionCount, message } where words holds
+// { wordId, text, routes, intendedIndex, alternateIndexes, hasMoreRoutes } per word (intendedIndex is -1 when the
+// word is not fully placed; alternateIndexes lists the other routes, leaving out those intended for another word
+// with the same text; hasMoreRoutes is set when the word has more than MAX_WORD_ROUTES routes and only that many
+// were listed), and solutionCount is 1 (unique), 2 (two or more full solutions exist) or null when it could not
+// be determined.
+export const analyzeAmbiguity = (enteredWords, gridCells, letterRule = 'none', maxSteps = 100000) => {
+    const cols = gridCells[0].length;
+    const routeKey = (route) => route.map(([r, c]) => r * cols + c).sort((a, b) => a - b).join(',');
+    // Words spelled with the same board letters are interchangeable.
+    const boardTextOf = (text) => getBoardLetters(text, letterRule).join('');
+
+    const words = enteredWords.map(word => {
+        const intendedRoute = gridCells.flat()
+            .filter(cell => cell && cell.wordId === word.id)
+            .sort((a, b) => a.sequenceIndex - b.sequenceIndex)
+            .map(cell => [cell.row, cell.col]);
+        const routes = findWordRoutes(gridCells, word.text, letterRule, MAX_WORD_ROUTES + 1);
+        const hasMoreRoutes = routes.length > MAX_WORD_ROUTES;
+        routes.length = Math.min(routes.length, MAX_WORD_ROUTES);
+        const isPlaced = intendedRoute.length === splitLetters(word.text, letterRule).length;
+        let intendedIndex = isPlaced ? routes.findIndex(route => routeKey(route) === routeKey(intendedRoute)) : -1;
+        // The route limit can leave out the intended route; a connected placed path is one of the routes all the same.
+        if (intendedIndex === -1 && isPlaced && hasMoreRoutes &&
+            intendedRoute.every((coords, index) => index === 0 || isNeighbor(intendedRoute[index - 1], coords))) {
+            routes.push(intendedRoute);
+            intendedIndex = routes.length - 1;
+        }
+        return { wordId: word.id, text: word.text, intendedRoute, routes, intendedIndex, hasMoreRoutes };
+    }).map((word, index, allWords) => {
+        const otherIntendedKeys = new Set(allWords
+            .filter((other, otherIndex) => otherIndex !== index && boardTextOf(other.text) === boardTextOf(word.text))
+            .map(other => routeKey(other.intendedRoute)));
+        const alternateIndexes = word.routes
+            .map((route, routeIndex) => routeIndex)
+            .filter(routeIndex => routeIndex !== word.intendedIndex && !otherIntendedKeys.has(routeKey(word.routes[routeIndex])));
+        return {
+            wordId: word.wordId,
+            text: word.text,
+            routes: word.routes,
+            intendedIndex: word.intendedIndex,
+            alternateIndexes,
+            hasMoreRoutes: word.hasMoreRoutes,
+        };
+    });
+
+    if (words.length === 0) {
+        return { words, solutionCount: null, message: 'Add and place some words to check for ambiguity.' };
+    }
+    if (words.some(word => word.intendedIndex === -1)) {
+        return { words, solutionCount: null, message: 'Place every word completely to check whether the solution is unique.' };
+    }
+
+    // Count sets of non-overlapping routes, one per word, stopping at two. Words with the same text take their
+    // routes in increasing order so that swapping two identical words is not counted as another solution.
+    const order = words.map((word, index) => index).sort((a, b) => words[a].routes.length - words[b].routes.length);
+    const used = new Set();
+    const chosen = new Map(); // word index -> route index
+    let solutionCount = 0;
+    let steps = 0;
+
+    const search = (position) => {
+        if (solutionCount >= 2 || steps > maxSteps) return;
+        if (position === order.length) {
+            solutionCount++;
+            return;
+        }
+        const wordIndex = order[position];
+        const word = words[wordIndex];
+        const minRouteIndex = Math.max(-1, ...[...chosen.entries()]
+            .filter(([otherIndex]) => boardTextOf(words[otherIndex].text) === boardTextOf(word.text))
+            .map(([, routeIndex]) => routeIndex)) + 1;
+        for (let routeIndex = minRouteIndex; routeIndex < word.routes.length; routeIndex++) {
+            steps++;
+            const keys = word.routes[routeIndex].map(([r, c]) => r * cols + c);
+            if (keys.some(key => used.has(key))) continue;
+            keys.forEach(key => used.add(key));
+            chosen.set(wordIndex, routeIndex);
+            search(position + 1);
+            chosen.delete(wordIndex);
+            keys.forEach(key => used.delete(key));
+        }
+    };
+    search(0);
+
+    if (steps > maxSteps && solutionCount < 2) {
+        return { words, solutionCount: null, message: 'The board has too many possible routes to decide whether the solution is unique.' };
+    }
+    // Another solution could use one of the routes past the limit.
+    if (solutionCount < 2 && words.some(word => word.hasMoreRoutes)) {
+        return {
+            words,
+            solutionCount: null,
+            message: `Some words have more than ${MAX_WORD_ROUTES} routes on the board, too many to decide whether the solution is unique.`
+        };
+    }
+    return {
+        words,
+        solutionCount,
+        message: solutionCount === 1
+            ? 'The intended solution is unique.'
+            : 'The words can also be laid out another way: the intended solution is not unique.'
+    };
+};
+
+// Shortest dictionary word the scan reports (blocklisted words are reported at any length).
+export const MIN_DICTIONARY_WORD_LENGTH = 4;
+
+// Helper function to scan the grid for dictionary and blocklisted words along isNeighbor paths.
+// Theme words (the entered words) are left out. Returns an array of { text, count, isBlocked },
+// where count is the number of distinct routes spelling the word, blocked words first, then longest first.
+export const scanBoardForWords = (gridCells, dictionaryWords, blocklist, enteredWords, letterRule = 'none') => {
+    const toBoardLetters = (text) => getBoardLetters(text, letterRule);
+    const rows = gridCells.length;
+    const cols = gridCells[0].length;
+    const boardLetters = new Set(gridCells.flat().filter(cell => cell).map(cell => cell.letter));
+    const cellCount = gridCells.flat().filter(cell => cell).length;
+    const themeTexts = new Set(enteredWords.map(word => toBoardLetters(word.text).join('')));
+    const blockedTexts = new Set(blocklist.map(word => toBoardLetters(word).join('')));
+
+    // Build a letter trie of the words that could possibly appear on this board.
+    const trie = { children: new Map(), text: null };
+    const addWord = (letters) => {
+        if (letters.length > cellCount || !letters.every(letter => boardLetters.has(letter))) return;
+        let node = trie;
+        letters.forEach(letter => {
+            if (!node.children.has(letter)) node.children.set(letter, { children: new Map(), text: null });
+            node = node.children.get(letter);
+        });
+        node.text = letters.join('');
+    };
+    // Whether each character, taken alone, is a letter on the board (marks and other non-letters always pass).
+    // A letter character takes a cell of its own under every letter rule, so a word holding a letter that is not
+    // on the board cannot be spelled there; this rules out most dictionary words before they are split into letters.
+    const isCharacterOnBoard = new Map();
+    const hasLetterOffBoard = (word) => [...word].some(character => {
+        if (!isCharacterOnBoard.has(character)) {
+            const [letter] = /\p{L}/u.test(character) ? toBoardLetters(character) : [];
+            isCharacterOnBoard.set(character, letter === undefined || boardLetters.has(letter));
+        }
+        return !isCharacterOnBoard.get(character);
+    });
+    dictionaryWords.forEach(word => {
+        if (word.length < MIN_DICTIONARY_WORD_LENGTH) return; // Too short whatever the letter rule.
+        if (hasLetterOffBoard(word)) return;
+        const letters = toBoardLetters(word);
+        if (letters.length >= MIN_DICTIONARY_WORD_LENGTH) addWord(letters);
+    });
+    blocklist.forEach(word => addWord(toBoardLetters(word)));
+
+    // Walk every path on the board while it still spells the start of some word.
+    const routesByText = new Map(); // text -> Set of route keys (sorted cell indexes)
+    const used = gridCells.map(row => row.map(() => false));
+    const route = [];
+    const walk = (r, c, node) => {
+        const cell = gridCells[r][c];
+        const next = cell && !used[r][c] ? node.children.get(cell.letter) : null;
+        if (!next) return;
+        used[r][c] = true;
+        route.push(r * cols + c);
+        if (next.text && !themeTexts.has(next.text)) {
+            if (!routesByText.has(next.text)) routesByText.set(next.text, new Set());
+            routesByText.get(next.text).add([...route].sort((a, b) => a - b).join(','));
+        }
+        NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+            const nr = r + dr;
+            const nc = c + dc;
+            if (nr >= 0 && nr < rows && nc >= 0 && nc < cols) walk(nr, nc, next);
+        });
+        route.pop();
+        used[r][c] = false;
+    };
+    gridCells.forEach((row, r) => row.forEach((cell, c) => walk(r, c, trie)));
+
+    return [...routesByText.entries()]
+        .map(([text, routes]) => ({ text, count: routes.size, isBlocked: blockedTexts.has(text) }))
+        .sort((a, b) => (b.isBlocked - a.isBlocked) || (toBoardLetters(b.text).length - toBoardLetters(a.text).length) || a.text.localeCompare(b.text));
+};
+
+// Workflow statuses of a puzzle in the collection, in the order a puzzle moves through them.
+export const PUZZLE_STATUSES = [
+    { value: 'draft', label: 'Draft' },
+    { value: 'review', label: 'In review' },
+    { value: 'ready', label: 'Ready' },
+];
+
+// Helper function to check that a value is one of the PUZZLE_STATUSES.
+export const isPuzzleStatus = (status) => PUZZLE_STATUSES.some(option => option.value === status);
+
+// Helper function to get the label of a puzzle status, falling back to the value itself for an unknown one.
+export const getStatusLabel = (status) => PUZZLE_STATUSES.find(option => option.value === status)?.label ?? status;
+
+// Helper function to check that a value is a calendar date written as YYYY-MM-DD (the value of a date input).
+// Dates of the right shape that do not exist, such as 2024-13-45 or 2023-02-29, are rejected.
+export const isIsoDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Helper function to get the title shown for a draft in the library.
+export const getDraftTitle = (draft) => draft.name || draft.themeText || 'Untitled puzzle';
+
+// Longest date range, in days, that can be exported as one bundle.
+const MAX_BUNDLE_DAYS = 366;
+
+// Helper function to add a number of days to a YYYY-MM-DD date. Works in UTC so that daylight saving is no concern.
+export const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+// Helper function to find what puzzles in the collection repeat: themes or theme words used by more than one
+// puzzle, and publish dates given to more than one puzzle. Words are compared as placed on the board, so case
+// and Hebrew vowel marks do not hide a repeat. Returns a Map from draft id to a list of messages.
+export const findCollectionRepeats = (drafts) => {
+    const usersOf = (map, key, draft) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(draft);
+    };
+    const themeUsers = new Map();
+    const wordUsers = new Map();
+    const dateUsers = new Map();
+    drafts.forEach(draft => {
+        const theme = (draft.themeText || '').trim().replace(/\s+/g, ' ').toLocaleLowerCase();
+        if (theme) usersOf(themeUsers, theme, draft);
+        new Set((draft.enteredWords || []).map(word => getBoardLetters(word.text, draft.letterRule).join('')))
+            .forEach(word => usersOf(wordUsers, word, draft));
+        if (draft.publishDate) usersOf(dateUsers, draft.publishDate, draft);
+    });
+
+    const repeats = new Map(drafts.map(draft => [draft.id, []]));
+    const report = (map, describe) => {
+        map.forEach((users, key) => {
+            if (users.length < 2) return;
+            users.forEach(draft => {
+                const others = users.filter(other => other !== draft).map(other => `"${getDraftTitle(other)}"`).join(', ');
+                repeats.get(draft.id).push(describe(key, others));
+            });
+        });
+    };
+    report(dateUsers, (date, others) => `Also scheduled for ${date}: ${others}`);
+    report(themeUsers, (theme, others) => `Same theme as ${others}`);
+    report(wordUsers, (word, others) => `"${word}" is also used in ${others}`);
+    return repeats;
+};
+
+// Helper function to build the bundle for a date range: one strands_layout.csv per day, named after its date
+// (2026-03-01.csv), plus an index.json manifest listing the puzzles and any days without one.
+// Returns { files: [{ name, content }], errors, warnings }; if errors is non-empty there is nothing to export.
+export const buildPuzzleBundle = (drafts, from, to) => {
+    if (!isIsoDate(from) || !isIsoDate(to)) {
+        return { files: [], errors: ['Choose the first and last day of the bundle.'], warnings: [] };
+    }
+    if (from > to) {
+        return { files: [], errors: ['The first day of the bundle is after the last day.'], warnings: [] };
+    }
+
+    const dates = [];
+    for (let date = from; date <= to && dates.length <= MAX_BUNDLE_DAYS; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    if (dates.length > MAX_BUNDLE_DAYS) {
+        return { files: [], errors: [`A bundle can cover at most ${MAX_BUNDLE_DAYS} days.`], warnings: [] };
+    }
+
+    const errors = [];
+    const warnings = [];
+    const files = [];
+    const entries = [];
+    const missingDates = [];
+    dates.forEach(date => {
+        const scheduled = drafts.filter(draft => draft.publishDate === date);
+        if (scheduled.length === 0) {
+            missingDates.push(date);
+            return;
+        }
+        if (scheduled.length > 1) {
+            errors.push(`${date} has ${scheduled.length} puzzles: ${scheduled.map(draft => `"${getDraftTitle(draft)}"`).join(', ')}.`);
+            return;
+        }
+
+        const draft = scheduled[0];
+        const status = draft.status || 'draft';
+        if (status !== 'ready') {
+            warnings.push(`${date}: "${getDraftTitle(draft)}" is not marked ready (${getStatusLabel(status)}).`);
+        }
+        const fileName = `${date}.csv`;
+        files.push({ name: fileName, content: buildLayoutCsv({ ...draft, letterRule: draft.letterRule || 'none' }) });
+        entries.push({
+            date,
+            file: fileName,
+            title: getDraftTitle(draft),
+            theme: draft.themeText,
+            status,
+            author: draft.author || '',
+            words: draft.enteredWords.length,
+        });
+    });
+    if (missingDates.length > 0) {
+        warnings.push(`No puzzle is scheduled for ${missingDates.join(', ')}.`);
+    }
+    if (entries.length === 0 && errors.length === 0) {
+        errors.push('No puzzles are scheduled in this date range.');
+    }
+
+    files.push({
+        name: 'index.json',
+        content: JSON.stringify({
+            format: 'strands-creator-bundle',
+            version: 1,
+            from,
+            to,
+            createdAt: new Date().toISOString(),
+            puzzles: entries,
+            missingDates,
+        }, null, 2),
+    });
+    return { files: errors.length > 0 ? [] : files, errors, warnings };
+};
+
+// Helper function to write a puzzle as the contents of a strands_layout.csv file, the format the game reads.
+// The format and its versions are described in README.md; readers of the original four lines can ignore the rest.
+export const buildLayoutCsv = ({ themeText, hintText, letterRule, enteredWords, gridCells }) => {
+    // UTF-8 BOM (Byte Order Mark) for better compatibility with Excel and other spreadsheet software.
+    const BOM = "\uFEFF"; // Unicode BOM character
+
+    // Theme and Hint lines without prefixes
+    const themeLine = `${themeText}`;
+    const hintLine = `${hintText}`;
+
+    // Line for comma-separated list of word texts, written with the letters the puzzle places on the board
+    // so that each letter of a word matches one cell record.
+    const wordsLine = enteredWords.map(word => splitLetters(word.text, letterRule).join('')).join(',');
+
+    // Line for semicolon-separated list of second-row text from marked cells
+    const gridDataLine = gridCells.flat() // Flatten the 2D array into a 1D array
+        .filter(cellContent => cellContent !== null) // Keep only marked cells
+        .map(cellContent => {
+            // Find the word object to get its original index
+            const wordObj = enteredWords.find(w => w.id === cellContent.wordId);
+            const wordIndex = wordObj ? enteredWords.indexOf(wordObj) : -1;
+            // Reconstruct the second-line text for each cell using stored row and col
+            return `${wordIndex};${cellContent.sequenceIndex};${cellContent.row};${cellContent.col}`;
+        })
+        .join(',');
+
+    // Line for the comma-separated indexes of the word(s) flagged as the spangram
+    const spangramLine = enteredWords
+        .map((word, index) => (word.isSpangram ? index : -1))
+        .filter(index => index !== -1)
+        .join(',');
+
+    // Line with the board size as "rows;cols"
+    const boardSizeLine = `${gridCells.length};${gridCells[0].length}`;
+
+    // Combine all lines for the file content
+    return `${BOM}${themeLine}\n${hintLine}\n${wordsLine}\n${gridDataLine}\n${spangramLine}\n${boardSizeLine}`;
+};
+
+// Helper function to parse the contents of a strands_layout.csv file produced by buildLayoutCsv.
+// The file has four lines: theme, hint, comma-separated words and comma-separated
+// "wordIndex;sequenceIndex;row;col" cell records, optionally followed by a fifth line with the
+// comma-separated indexes of the spangram word(s) and a sixth "rows;cols" line with the board size
+// (files without it are 8x6). Returns { themeText, hintText, words, gridCells, errors }.
+// If errors is non-empty the rest of the result should not be loaded.
+export const parseLayoutCsv = (content) => {
+    const errors = [];
+    // Strip the UTF-8 BOM written by buildLayoutCsv and normalize Windows line endings.
+    const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const lines = text.split('\n');
+
+    // Tolerate trailing newlines added by an editor (an empty spangram line is dropped the same way).
+    while (lines.length > 4 && lines[lines.length - 1].trim() === '') {
+        lines.pop();
+    }
+    if (lines.length < 4 || lines.length > 6) {
+        errors.push(`Expected 4 to 6 lines (theme, hint, words, cells, spangram, board size) but found ${lines.length}.`);
+        return { themeText: '', hintText: '', words: [], gridCells: [], errors };
+    }
+
+    const [themeLine, hintLine, wordsLine, gridDataLine, spangramLine = '', boardSizeLine = ''] = lines;
+
+    // Read the board size, falling back to the classic 8x6 board for files written before it was exported.
+    let rows = DEFAULT_ROWS;
+    let cols = DEFAULT_COLS;
+    if (boardSizeLine.trim() !== '') {
+        const sizeMatch = /^(\d+);(\d+)$/.exec(boardSizeLine.trim());
+        const sizeRows = sizeMatch ? parseInt(sizeMatch[1], 10) : 0;
+        const sizeCols = sizeMatch ? parseInt(sizeMatch[2], 10) : 0;
+        if (sizeRows < MIN_BOARD_SIZE || sizeRows > MAX_BOARD_SIZE || sizeCols < MIN_BOARD_SIZE || sizeCols > MAX_BOARD_SIZE) {
+            errors.push(`Line 6: board size "${boardSizeLine}" must be "rows;cols" between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}.`);
+            return { themeText: '', hintText: '', words: [], gridCells: [], errors };
+        }
+        rows = sizeRows;
+        cols = sizeCols;
+    }
+
+    // Rebuild the word objects, assigning colors in the same order handleAddWord would.
+    const words = wordsLine.trim() === '' ? [] : wordsLine.split(',').map((wordText, index) => ({
+        id: crypto.randomUUID(),
+        text: wordText.trim(),
+        color: WORD_COLORS[index % WORD_COLORS.length],
+    }));
+    words.forEach((word, index) => {
+        if (word.text === '') {
+            errors.push(`Line 3: word ${index} is empty.`);
+        }
+    });
+
+    // Flag the spangram word(s) listed on the optional fifth line.
+    if (spangramLine.trim() !== '') {
+        spangramLine.split(',').forEach(part => {
+            const wordIndex = /^\d+$/.test(part.trim()) ? parseInt(part, 10) : -1;
+            if (wordIndex < 0 || wordIndex >= words.length) {
+                errors.push(`Line 5: spangram index "${part}" does not match the word list (${words.length} words).`);
+                return;
+            }
+            words[wordIndex].isSpangram = true;
+        });
+    }
+
+    const gridCells = createEmptyGrid(rows, cols);
+    const records = gridDataLine.trim() === '' ? [] : gridDataLine.split(',');
+
+    records.forEach((record, recordIndex) => {
+        const label = `Line 4, record ${recordIndex + 1} ("${record}")`;
+        const parts = record.trim().split(';');
+        if (parts.length !== 4 || parts.some(part => !/^-?\d+$/.test(part.trim()))) {
+            errors.push(`${label}: expected four integers "wordIndex;sequenceIndex;row;col".`);
+            return;
+        }
+        const [wordIndex, sequenceIndex, row, col] = parts.map(part => parseInt(part, 10));
+
+        if (wordIndex < 0 || wordIndex >= words.length) {
+            errors.push(`${label}: word index ${wordIndex} does not match the word list (${words.length} words).`);
+            return;
+        }
+        const word = words[wordIndex];
+        const letters = getBoardLetters(word.text);
+        if (sequenceIndex < 0 || sequenceIndex >= letters.length) {
+            errors.push(`${label}: sequence index ${sequenceIndex} is outside the word "${word.text}".`);
+            return;
+        }
+        if (row < 0 || row >= rows || col < 0 || col >= cols) {
+            errors.push(`${label}: cell (${row}, ${col}) is outside the ${rows}x${cols} grid.`);
+            return;
+        }
+        if (gridCells[row][col]) {
+            errors.push(`${label}: cell (${row}, ${col}) is already used by another record.`);
+            return;
+        }
+
+        gridCells[row][col] = {
+            letter: letters[sequenceIndex],
+            wordId: word.id,
+            color: word.color,
+            sequenceIndex,
+            row,
+            col
+        };
+    });
+
+    return { themeText: themeLine, hintText: hintLine, words, gridCells, errors };
+};
+
+// Identifier and current schema version of the native project file (*.strands.json).
+// Bump PROJECT_FILE_VERSION whenever the layout of the file changes, and add a step to PROJECT_FILE_MIGRATIONS
+// that upgrades a file of the previous version, so that older project files stay openable.
+export const PROJECT_FILE_FORMAT = 'strands-creator-project';
+export const PROJECT_FILE_VERSION = 1;
+
+// Steps that upgrade a parsed project file by one version: PROJECT_FILE_MIGRATIONS[n] turns version n into n + 1.
+const PROJECT_FILE_MIGRATIONS = {
+    // Version 0 is a bare puzzle object without format or version, as kept in the draft library
+    // ({ name, themeText, hintText, enteredWords, gridCells, playtests }).
+    0: (file) => ({
+        format: PROJECT_FILE_FORMAT,
+        version: 1,
+        metadata: {
+            name: file.name || '',
+            playtests: file.playtests || [],
+            publishDate: file.publishDate,
+            status: file.status,
+            author: file.author,
+        },
+        puzzle: {
+            themeText: file.themeText,
+            hintText: file.hintText,
+            board: Array.isArray(file.gridCells) && Array.isArray(file.gridCells[0])
+                ? { rows: file.gridCells.length, cols: file.gridCells[0].length }
+                : { rows: DEFAULT_ROWS, cols: DEFAULT_COLS },
+            words: file.enteredWords,
+            cells: Array.isArray(file.gridCells) ? file.gridCells.flat().filter(cell => cell) : [],
+        },
+    }),
+};
+
+// Helper function to write a puzzle as a project file. Unlike the CSV this keeps everything in the editor:
+// word ids, colors and flags, the letter in every cell, the board size, and metadata such as the draft name.
+export const serializeProject = ({ themeText, hintText, letterRule, enteredWords, gridCells, name, playtests, publishDate, status, author }) => JSON.stringify({
+    format: PROJECT_FILE_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    savedAt: new Date().toISOString(),
+    metadata: {
+        name: name || '',
+        playtests: playtests || [],
+        publishDate: publishDate || '',
+        status: status || 'draft',
+        author: author || '',
+    },
+    puzzle: {
+        themeText,
+        hintText,
+        letterRule: letterRule || 'none',
+        board: { rows: gridCells.length, cols: gridCells[0].length },
+        words: enteredWords,
+        cells: gridCells.flat()
+            .filter(cell => cell !== null)
+            .map(({ row, col, wordId, sequenceIndex, letter }) => ({ row, col, wordId, sequenceIndex, letter })),
+    },
+}, null, 2);
+
+// Helper function to parse a project file written by serializeProject, upgrading older versions first.
+// Returns { themeText, hintText, letterRule, words, gridCells, metadata, errors }, in the same shape as parseLayoutCsv;
+// if errors is non-empty the rest of the result should not be loaded.
+export const parseProjectJson = (content) => {
+    const failed = (errors) => ({ themeText: '', hintText: '', letterRule: 'none', words: [], gridCells: [], metadata: {}, errors });
+
+    let file;
+    try {
+        file = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        return failed([`The file is not valid JSON (${error.message}).`]);
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        return failed(['The file does not contain a project object.']);
+    }
+
+    // Files without a format marker are bare puzzle objects (version 0).
+    const version = file.format === undefined && file.version === undefined ? 0 : file.version;
+    if (file.format !== undefined && file.format !== PROJECT_FILE_FORMAT) {
+        return failed([`Unknown file format "${file.format}"; expected "${PROJECT_FILE_FORMAT}".`]);
+    }
+    if (!Number.isInteger(version) || version < 0) {
+        return failed([`Unknown project file version "${file.version}".`]);
+    }
+    if (version > PROJECT_FILE_VERSION) {
+        return failed([`The file was saved by a newer version of the editor (project version ${version}; this editor reads up to ${PROJECT_FILE_VERSION}).`]);
+    }
+    for (let from = version; from < PROJECT_FILE_VERSION; from++) {
+        file = PROJECT_FILE_MIGRATIONS[from](file);
+    }
+
+    const errors = [];
+    const puzzle = file.puzzle || {};
+    const { rows, cols } = puzzle.board || {};
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) ||
+        rows < MIN_BOARD_SIZE || rows > MAX_BOARD_SIZE || cols < MIN_BOARD_SIZE || cols > MAX_BOARD_SIZE) {
+        return failed([`Board size must be rows and cols between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}.`]);
+    }
+    if (!Array.isArray(puzzle.words) || !Array.isArray(puzzle.cells)) {
+        return failed(['The puzzle is missing its word list or cell list.']);
+    }
+    // Files saved before letter rules existed used the letters as typed.
+    const letterRule = puzzle.letterRule === undefined ? 'none' : puzzle.letterRule;
+    if (!LETTER_RULES.some(rule => rule.code === letterRule)) {
+        return failed([`Unknown letter rule "${letterRule}".`]);
+    }
+
+    // Rebuild the word objects, keeping only the fields the editor knows about.
+    const words = [];
+    puzzle.words.forEach((word, index) => {
+        if (!word || typeof word.text !== 'string' || word.text.trim() === '') {
+            errors.push(`Word ${index}: missing or empty text.`);
+            return;
+        }
+        if (typeof word.id !== 'string' || word.id === '' || words.some(other => other.id === word.id)) {
+            errors.push(`Word ${index} ("${word.text}"): missing or duplicate id.`);
+            return;
+        }
+        // Colors end up in SVG and style attributes, so only plain #RRGGBB values are accepted.
+        if (word.color !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(word.color)) {
+            errors.push(`Word ${index} ("${word.text}"): color must be written as #RRGGBB.`);
+            return;
+        }
+        const rebuilt = {
+            id: word.id,
+            text: word.text,
+            color: word.color === undefined ? WORD_COLORS[index % WORD_COLORS.length] : word.color,
+        };
+        if (word.isSpangram) rebuilt.isSpangram = true;
+        if (word.isLocked) rebuilt.isLocked = true;
+        if (word.isColorPicked) rebuilt.isColorPicked = true;
+        words.push(rebuilt);
+    });
+
+    const gridCells = createEmptyGrid(rows, cols);
+    puzzle.cells.forEach((cell, cellIndex) => {
+        const label = `Cell ${cellIndex + 1}`;
+        if (!cell || ![cell.row, cell.col, cell.sequenceIndex].every(Number.isInteger)) {
+            errors.push(`${label}: expected integer row, col and sequenceIndex.`);
+            return;
+        }
+        const { row, col, sequenceIndex } = cell;
+        const word = words.find(w => w.id === cell.wordId);
+        if (!word) {
+            errors.push(`${label}: word id "${cell.wordId}" does not match the word list.`);
+            return;
+        }
+        const letters = getBoardLetters(word.text, letterRule);
+        if (sequenceIndex < 0 || sequenceIndex >= letters.length) {
+            errors.push(`${label}: sequence index ${sequenceIndex} is outside the word "${word.text}".`);
+            return;
+        }
+        if (row < 0 || row >= rows || col < 0 || col >= cols) {
+            errors.push(`${label}: cell (${row}, ${col}) is outside the ${rows}x${cols} grid.`);
+            return;
+        }
+        if (gridCells[row][col]) {
+            errors.push(`${label}: cell (${row}, ${col}) is used twice.`);
+            return;
+        }
+        // The letter is optional and always taken from the word; one that disagrees means the file was edited.
+        if (cell.letter !== undefined && (typeof cell.letter !== 'string' || cell.letter.toUpperCase() !== letters[sequenceIndex])) {
+            errors.push(`${label}: letter "${cell.letter}" does not match letter ${sequenceIndex + 1} of "${word.text}" (${letters[sequenceIndex]}).`);
+            return;
+        }
+        gridCells[row][col] = {
+            letter: letters[sequenceIndex],
+            wordId: word.id,
+            color: word.color,
+            sequenceIndex,
+            row,
+            col
+        };
+    });
+
+    const metadata = file.metadata || {};
+    return {
+        themeText: typeof puzzle.themeText === 'string' ? puzzle.themeText : '',
+        hintText: typeof puzzle.hintText === 'string' ? puzzle.hintText : '',
+        letterRule,
+        words,
+        gridCells,
+        metadata: {
+            name: typeof metadata.name === 'string' ? metadata.name : '',
+            playtests: Array.isArray(metadata.playtests) ? metadata.playtests : [],
+            publishDate: isIsoDate(metadata.publishDate) ? metadata.publishDate : '',
+            status: isPuzzleStatus(metadata.status) ? metadata.status : 'draft',
+            author: typeof metadata.author === 'string' ? metadata.author : '',
+        },
+        errors,
+    };
+};
+
+// Version of the share link encoding. Bump it when the payload layout changes, and keep decodeShareLink
+// able to read the older versions that links already sent around may use.
+export const SHARE_LINK_VERSION = 1;
+
+// Helper function to encode text as URL-safe base64 of its UTF-8 bytes.
+const toBase64Url = (text) => {
+    const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// Helper function to decode text written by toBase64Url. Throws on malformed input.
+const fromBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return decodeURIComponent(Array.from(binary, character => `%${character.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+};
+
+// Helper function to compute a short checksum (32-bit FNV-1a in base 36), used to notice truncated or altered links.
+const getChecksum = (text) => {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+};
+
+// Helper function to encode a puzzle for the URL fragment as "v<version>.<payload>.<checksum>".
+// The payload is a compact JSON array: [theme, hint, rows, cols, letterRule, words], where each word is
+// [text, color, flags, path] with flags 1 = spangram, 2 = locked and 4 = color picked by hand, and path lists the cell (row * cols + col)
+// of each letter in order (null for a letter that is not placed). Letters are rebuilt from the word text.
+export const encodeShareLink = ({ themeText, hintText, letterRule, enteredWords, gridCells }) => {
+    const rows = gridCells.length;
+    const cols = gridCells[0].length;
+    const words = enteredWords.map(word => {
+        const slots = getPathSlots(gridCells, word.id, getBoardLetters(word.text, letterRule).length);
+        while (slots.length > 0 && slots[slots.length - 1] === null) slots.pop(); // Trailing unplaced letters.
+        const flags = (word.isSpangram ? 1 : 0) | (word.isLocked ? 2 : 0) | (word.isColorPicked ? 4 : 0);
+        return [word.text, word.color.replace(/^#/, ''), flags, slots.map(cell => (cell ? cell.row * cols + cell.col : null))];
+    });
+    const payload = toBase64Url(JSON.stringify([themeText, hintText, rows, cols, letterRule, words]));
+    return `v${SHARE_LINK_VERSION}.${payload}.${getChecksum(payload)}`;
+};
+
+// Helper function to decode a share link made by encodeShareLink. The puzzle is checked by parseProjectJson,
+// so a link is held to the same rules as a project file. Returns { themeText, hintText, letterRule, words,
+// gridCells, errors } like parseProjectJson; if errors is non-empty the rest should not be loaded.
+export const decodeShareLink = (code) => {
+    const failed = (message) => ({ themeText: '', hintText: '', letterRule: 'none', words: [], gridCells: [], errors: [message] });
+    const match = /^v(\d+)\.([A-Za-z0-9_-]*)\.([0-9a-z]+)$/.exec(code);
+    if (!match) {
+        return failed('The link is incomplete or damaged. Ask for the link to be sent again, and copy all of it.');
+    }
+    const version = parseInt(match[1], 10);
+    if (version > SHARE_LINK_VERSION) {
+        return failed(`The link was made by a newer version of the editor (link version ${version}; this editor reads up to ${SHARE_LINK_VERSION}).`);
+    }
+    if (version < 1) {
+        return failed(`Unknown link version ${version}.`);
+    }
+    if (getChecksum(match[2]) !== match[3]) {
+        return failed('The link is incomplete or damaged: its checksum does not match. Ask for the link to be sent again, and copy all of it.');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(match[2]));
+    } catch (error) {
+        return failed('The link is damaged: its puzzle data cannot be read.');
+    }
+    if (!Array.isArray(payload) || payload.length !== 6 || !Array.isArray(payload[5])) {
+        return failed('The link is damaged: its puzzle data has an unexpected layout.');
+    }
+
+    const [themeText, hintText, rows, cols, letterRule, words] = payload;
+    const enteredWords = [];
+    const cells = [];
+    words.forEach(entry => {
+        const [text, color, flags, path] = Array.isArray(entry) ? entry : [];
+        const word = { id: crypto.randomUUID(), text, color: typeof color === 'string' ? `#${color}` : color };
+        if (flags & 1) word.isSpangram = true;
+        if (flags & 2) word.isLocked = true;
+        if (flags & 4) word.isColorPicked = true;
+        enteredWords.push(word);
+        (Array.isArray(path) ? path : []).forEach((cellIndex, sequenceIndex) => {
+            if (cellIndex === null) return;
+            cells.push({ row: Math.floor(cellIndex / cols), col: cellIndex % cols, wordId: word.id, sequenceIndex });
+        });
+    });
+    return parseProjectJson(JSON.stringify({
+        format: PROJECT_FILE_FORMAT,
+        version: 1,
+        puzzle: { themeText, hintText, letterRule, board: { rows, cols }, words: enteredWords, cells },
+    }));
+};
@@ -0,0 +1,702 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  PROJECT_FILE_FORMAT,
+  PROJECT_FILE_VERSION,
+  createEmptyGrid,
+  placeLetters,
+  splitLetters,
+  getBoardLetters,
+  parseWordList,
+  isNeighbor,
+  getPathEdges,
+  getPathSlots,
+  findPathGaps,
+  checkPathCell,
+  findCrossings,
+  evaluateReadiness,
+  evaluateDifficulty,
+  generateLayouts,
+  analyzeAmbiguity,
+  findWordRoutes,
+  MAX_WORD_ROUTES,
+  scanBoardForWords,
+  isIsoDate,
+  addDays,
+  getStatusLabel,
+  findCollectionRepeats,
+  buildPuzzleBundle,
+  buildLayoutCsv,
+  parseLayoutCsv,
+  serializeProject,
+  parseProjectJson,
+  encodeShareLink,
+  decodeShareLink,
+} from './puzzleCore';
+
+// A 3x3 puzzle with three placed words; the middle one is the spangram and has a hand-picked color.
+const makePuzzle = () => {
+  const enteredWords = [
+    { id: 'w1', text: 'abc', color: '#EF4444' },
+    { id: 'w2', text: 'def', color: '#123ABC', isSpangram: true, isColorPicked: true },
+    { id: 'w3', text: 'ghi', color: '#10B981', isLocked: true },
+  ];
+  let gridCells = createEmptyGrid(3, 3);
+  gridCells = placeLetters(gridCells, enteredWords[0], [[0, 0], [0, 1], [0, 2]], 0);
+  gridCells = placeLetters(gridCells, enteredWords[1], [[1, 2], [1, 1], [1, 0]], 0);
+  gridCells = placeLetters(gridCells, enteredWords[2], [[2, 0], [2, 1], [2, 2]], 0);
+  return { themeText: 'Theme', hintText: 'Hint', letterRule: 'none', enteredWords, gridCells };
+};
+
+// A 4x4 puzzle ready to publish: four 4-letter words, one per row, read left to right.
+// The first word is the spangram and spans the board from side to side.
+const makeReadyPuzzle = (letterRule = 'none') => {
+  const texts = ['abcd', 'efgh', 'ijkl', 'mnop'];
+  const enteredWords = texts.map((text, index) => ({ id: `w${index}`, text, color: '#3B82F6', ...(index === 0 ? { isSpangram: true } : {}) }));
+  let gridCells = createEmptyGrid(4, 4);
+  enteredWords.forEach((word, row) => {
+    gridCells = placeLetters(gridCells, word, [[row, 0], [row, 1], [row, 2], [row, 3]], 0);
+  });
+  return { themeText: 'Letters', hintText: 'In order', letterRule, enteredWords, gridCells };
+};
+
+// Helper to build a project file object around a puzzle section.
+const projectFile = (puzzle, extra = {}) => JSON.stringify({ format: PROJECT_FILE_FORMAT, version: PROJECT_FILE_VERSION, ...extra, puzzle });
+
+// Helper to describe the placed cells of a parsed layout as "text:sequenceIndex@row,col", independent of word ids.
+const describeCells = ({ words, gridCells }) => gridCells.flat().filter(cell => cell).map(cell => (
+  `${words.find(word => word.id === cell.wordId).text}:${cell.sequenceIndex}@${cell.row},${cell.col}`
+));
+
+describe('letter rules', () => {
+  test('a letter with combining marks, or an emoji, takes one cell', () => {
+    expect(splitLetters('cafe\u0301')).toEqual(['c', 'a', 'f', 'é']);
+    expect(splitLetters('שָׁלוֹם')).toEqual(['שָׁ', 'ל', 'וֹ', 'ם']);
+    expect(splitLetters('a👨‍👩‍👧b')).toHaveLength(3);
+  });
+
+  test('the Hebrew rules drop niqqud, and he-final shows final letters in their regular form', () => {
+    expect(splitLetters('שָׁלוֹם', 'he')).toEqual(['ש', 'ל', 'ו', 'ם']);
+    expect(splitLetters('שָׁלוֹם', 'he-final')).toEqual(['ש', 'ל', 'ו', 'מ']);
+    expect(splitLetters('ךםןףץ', 'he-final').join('')).toBe('כמנפצ');
+    // A geresh is punctuation, not a mark, so it keeps a cell of its own.
+    expect(splitLetters('צ׳יפס', 'he')).toEqual(['צ', '׳', 'י', 'פ', 'ס']);
+  });
+
+  test('a stray mark on its own is not a letter under the Hebrew rules', () => {
+    expect(splitLetters('\u05B8אב', 'he')).toEqual(['א', 'ב']);
+  });
+
+  test('board letters are upper case and keep their cell count', () => {
+    expect(getBoardLetters('straße')).toEqual(['S', 'T', 'R', 'A', 'SS', 'E']);
+    expect(getBoardLetters('שָׁלוֹם', 'he-final')).toEqual(['ש', 'ל', 'ו', 'מ']);
+  });
+});
+
+describe('parseWordList', () => {
+  test('splits on new lines, commas and tabs, and trims the words', () => {
+    expect(parseWordList('\uFEFFcat, dog\r\n\tbird\n\n,,fish\t', []).map(entry => entry.text)).toEqual(['cat', 'dog', 'bird', 'fish']);
+  });
+
+  test('flags words already in the list or earlier in the text, comparing board letters', () => {
+    const entries = parseWordList('CAT\ndog\nDog\nשָׁלוֹם\nשלום', [{ id: 'a', text: 'cat', color: '#EF4444' }], 'he');
+    expect(entries.map(entry => entry.status)).toEqual(['duplicate', 'new', 'duplicate', 'new', 'duplicate']);
+    expect(entries[0].reason).toBe('already in the list');
+  });
+
+  test('rejects digits and symbols but keeps hyphens, apostrophes, spaces and Hebrew punctuation', () => {
+    const entries = parseWordList("r2d2\nhi!\nice cream\nrock-n-roll\no'clock\nצ׳יפס\nבית־ספר", []);
+    expect(entries.map(entry => entry.status)).toEqual(['invalid', 'invalid', 'new', 'new', 'new', 'new', 'new']);
+    expect(entries[0].reason).toBe('contains characters other than letters');
+  });
+});
+
+describe('parseLayoutCsv', () => {
+  test('reads a file written by buildLayoutCsv, BOM included', () => {
+    const puzzle = makePuzzle();
+    const csv = buildLayoutCsv(puzzle);
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+
+    const layout = parseLayoutCsv(csv);
+    expect(layout.errors).toEqual([]);
+    expect(layout.themeText).toBe('Theme');
+    expect(layout.hintText).toBe('Hint');
+    expect(layout.words.map(word => [word.text, Boolean(word.isSpangram)])).toEqual([['abc', false], ['def', true], ['ghi', false]]);
+    expect(describeCells(layout)).toEqual(describeCells({ words: puzzle.enteredWords, gridCells: puzzle.gridCells }));
+    expect(buildLayoutCsv({ ...layout, letterRule: 'none', enteredWords: layout.words })).toBe(csv);
+  });
+
+  test('accepts Windows line endings and trailing blank lines, and defaults to an 8x6 board', () => {
+    const layout = parseLayoutCsv('\uFEFFTheme\r\nHint\r\nab\r\n0;0;0;0,0;1;7;5\r\n\r\n\r\n');
+    expect(layout.errors).toEqual([]);
+    expect(layout.gridCells).toHaveLength(8);
+    expect(layout.gridCells[0]).toHaveLength(6);
+    expect(layout.gridCells[7][5]).toMatchObject({ letter: 'B', sequenceIndex: 1 });
+  });
+
+  test('reports each bad cell record', () => {
+    const layout = parseLayoutCsv('Theme\nHint\nabc\n0;0;0,1;0;0;0,0;5;0;0,0;0;3;3,0;0;0;0,0;1;0;0\n\n3;3');
+    expect(layout.errors).toEqual([
+      'Line 4, record 1 ("0;0;0"): expected four integers "wordIndex;sequenceIndex;row;col".',
+      'Line 4, record 2 ("1;0;0;0"): word index 1 does not match the word list (1 words).',
+      'Line 4, record 3 ("0;5;0;0"): sequence index 5 is outside the word "abc".',
+      'Line 4, record 4 ("0;0;3;3"): cell (3, 3) is outside the 3x3 grid.',
+      'Line 4, record 6 ("0;1;0;0"): cell (0, 0) is already used by another record.',
+    ]);
+  });
+
+  test('rejects files with the wrong number of lines, a bad board size or a bad spangram index', () => {
+    expect(parseLayoutCsv('Theme\nHint').errors).toEqual([
+      'Expected 4 to 6 lines (theme, hint, words, cells, spangram, board size) but found 2.',
+    ]);
+    expect(parseLayoutCsv('Theme\nHint\nabc\n\n\n2;20').errors).toEqual([
+      'Line 6: board size "2;20" must be "rows;cols" between 3 and 12.',
+    ]);
+    expect(parseLayoutCsv('Theme\nHint\nabc\n\n4').errors).toEqual([
+      'Line 5: spangram index "4" does not match the word list (1 words).',
+    ]);
+  });
+});
+
+describe('parseProjectJson', () => {
+  test('reads back everything serializeProject writes', () => {
+    const puzzle = makePuzzle();
+    const result = parseProjectJson(serializeProject({ ...puzzle, name: 'Draft', publishDate: '2025-01-31', status: 'ready', author: 'Dana' }));
+    expect(result.errors).toEqual([]);
+    expect(result.words).toEqual(puzzle.enteredWords);
+    expect(result.gridCells).toEqual(puzzle.gridCells);
+    expect(result.metadata).toEqual({ name: 'Draft', playtests: [], publishDate: '2025-01-31', status: 'ready', author: 'Dana' });
+  });
+
+  test('rejects files it cannot read', () => {
+    expect(parseProjectJson('{ not json').errors[0]).toMatch(/^The file is not valid JSON/);
+    expect(parseProjectJson('[]').errors).toEqual(['The file does not contain a project object.']);
+    expect(parseProjectJson(JSON.stringify({ format: 'something-else', version: 1 })).errors).toEqual([
+      `Unknown file format "something-else"; expected "${PROJECT_FILE_FORMAT}".`,
+    ]);
+    expect(parseProjectJson(JSON.stringify({ format: PROJECT_FILE_FORMAT, version: PROJECT_FILE_VERSION + 1 })).errors[0])
+      .toMatch(/saved by a newer version of the editor/);
+  });
+
+  test('reports bad words and cells', () => {
+    const result = parseProjectJson(projectFile({
+      board: { rows: 3, cols: 3 },
+      words: [
+        { id: 'a', text: 'abc', color: '#EF4444' },
+        { id: 'a', text: 'def', color: '#EF4444' },
+        { id: 'b', text: '' },
+        { id: 'c', text: 'ghi', color: '"/><image href="x" onerror="alert(1)"/>' },
+      ],
+      cells: [
+        { row: 0, col: 0, wordId: 'a', sequenceIndex: 0 },
+        { row: 0, col: 0, wordId: 'a', sequenceIndex: 1 },
+        { row: 0, col: 1, wordId: 'zzz', sequenceIndex: 0 },
+        { row: 5, col: 0, wordId: 'a', sequenceIndex: 2 },
+      ],
+    }));
+    expect(result.errors).toEqual([
+      'Word 1 ("def"): missing or duplicate id.',
+      'Word 2: missing or empty text.',
+      'Word 3 ("ghi"): color must be written as #RRGGBB.',
+      'Cell 2: cell (0, 0) is used twice.',
+      'Cell 3: word id "zzz" does not match the word list.',
+      'Cell 4: cell (5, 0) is outside the 3x3 grid.',
+    ]);
+  });
+
+  test('checks the letters written in cells against the words', () => {
+    const board = { rows: 3, cols: 3 };
+    const words = [{ id: 'a', text: 'abc', color: '#EF4444' }];
+    const result = parseProjectJson(projectFile({
+      board,
+      words,
+      cells: [
+        { row: 0, col: 0, wordId: 'a', sequenceIndex: 0, letter: 'A' },
+        { row: 0, col: 1, wordId: 'a', sequenceIndex: 1, letter: 'X' },
+        { row: 0, col: 2, wordId: 'a', sequenceIndex: 2, letter: 3 },
+      ],
+    }));
+    expect(result.errors).toEqual([
+      'Cell 2: letter "X" does not match letter 2 of "abc" (B).',
+      'Cell 3: letter "3" does not match letter 3 of "abc" (C).',
+    ]);
+
+    // Cells without a letter, or with it in lower case, get the board letter of the word.
+    const loaded = parseProjectJson(projectFile({
+      board,
+      words,
+      cells: [{ row: 0, col: 0, wordId: 'a', sequenceIndex: 0, letter: 'a' }, { row: 0, col: 1, wordId: 'a', sequenceIndex: 1 }],
+    }));
+    expect(loaded.errors).toEqual([]);
+    expect(loaded.gridCells[0].slice(0, 2).map(cell => cell.letter)).toEqual(['A', 'B']);
+  });
+
+  test('gives words without a color one from the default palette', () => {
+    const result = parseProjectJson(projectFile({ board: { rows: 3, cols: 3 }, words: [{ id: 'a', text: 'abc' }], cells: [] }));
+    expect(result.errors).toEqual([]);
+    expect(result.words[0].color).toBe('#EF4444');
+  });
+});
+
+describe('share links', () => {
+  test('round trip a puzzle, keeping its flags, colors and paths', () => {
+    const puzzle = makePuzzle();
+    const code = encodeShareLink(puzzle);
+    expect(code).toMatch(/^v1\.[A-Za-z0-9_-]+\.[0-9a-z]+$/);
+
+    const result = decodeShareLink(code);
+    expect(result.errors).toEqual([]);
+    expect(result.themeText).toBe('Theme');
+    expect(result.words.map(({ id, ...word }) => word)).toEqual(puzzle.enteredWords.map(({ id, ...word }) => word));
+    expect(describeCells(result)).toEqual(describeCells({ words: puzzle.enteredWords, gridCells: puzzle.gridCells }));
+  });
+
+  test('reject truncated, altered and unknown links', () => {
+    const code = encodeShareLink(makePuzzle());
+    const [version, payload, checksum] = code.split('.');
+    expect(decodeShareLink(code.slice(0, -3)).errors[0]).toMatch(/incomplete or damaged/);
+    expect(decodeShareLink(`${version}.${payload.slice(0, -4)}.${checksum}`).errors[0]).toMatch(/checksum does not match/);
+    expect(decodeShareLink(`${version}.${payload}`).errors[0]).toMatch(/incomplete or damaged/);
+    expect(decodeShareLink(`v9.${payload}.${checksum}`).errors[0]).toMatch(/newer version of the editor/);
+    expect(decodeShareLink('not a link').errors[0]).toMatch(/incomplete or damaged/);
+  });
+});
+
+describe('isIsoDate', () => {
+  test('accepts real calendar dates', () => {
+    expect(isIsoDate('2024-02-29')).toBe(true);
+    expect(isIsoDate('2025-12-31')).toBe(true);
+  });
+
+  test('rejects dates that do not exist or are not YYYY-MM-DD', () => {
+    expect(isIsoDate('2024-13-45')).toBe(false);
+    expect(isIsoDate('2023-02-29')).toBe(false);
+    expect(isIsoDate('2024-1-5')).toBe(false);
+    expect(isIsoDate('')).toBe(false);
+    expect(isIsoDate(20240101)).toBe(false);
+  });
+
+  test('a project file with an impossible publish date still loads, without the date', () => {
+    const result = parseProjectJson(projectFile(
+      { themeText: 'Theme', hintText: '', board: { rows: 3, cols: 3 }, words: [], cells: [] },
+      { metadata: { publishDate: '2024-13-45' } },
+    ));
+    expect(result.errors).toEqual([]);
+    expect(result.metadata.publishDate).toBe('');
+  });
+});
+
+describe('puzzle collection', () => {
+  // A ready-to-publish draft with the given id, theme, publish date and status.
+  const makeDraft = (id, themeText, publishDate, status = 'ready') => ({ ...makeReadyPuzzle(), id, name: '', themeText, publishDate, status });
+
+  test('adds days across month and daylight saving boundaries', () => {
+    expect(addDays('2026-02-28', 1)).toBe('2026-03-01');
+    expect(addDays('2026-03-28', 2)).toBe('2026-03-30');
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+  });
+
+  test('labels statuses, including ones this version does not know', () => {
+    expect(getStatusLabel('review')).toBe('In review');
+    expect(getStatusLabel('archived')).toBe('archived');
+  });
+
+  test('finds repeated themes, theme words and publish dates', () => {
+    const drafts = [
+      makeDraft('a', 'Letters', '2026-03-01'),
+      makeDraft('b', '  letters ', '2026-03-01'),
+      { ...makeDraft('c', 'Other', ''), enteredWords: [{ id: 'x', text: 'ABCD', color: '#3B82F6' }] },
+      { ...makeDraft('d', 'Fresh', ''), enteredWords: [{ id: 'y', text: 'qrst', color: '#3B82F6' }] },
+    ];
+    const repeats = findCollectionRepeats(drafts);
+    expect(repeats.get('a')).toEqual(expect.arrayContaining([
+      'Also scheduled for 2026-03-01: "  letters "',
+      'Same theme as "  letters "',
+      '"ABCD" is also used in "  letters ", "Other"',
+    ]));
+    expect(repeats.get('c')).toEqual(['"ABCD" is also used in "Letters", "  letters "']);
+    expect(repeats.get('d')).toEqual([]);
+  });
+
+  test('builds one CSV per day and a manifest, warning about gaps and puzzles not ready', () => {
+    const drafts = [makeDraft('a', 'First', '2026-03-01'), makeDraft('b', 'Third', '2026-03-03', 'review')];
+    const { files, errors, warnings } = buildPuzzleBundle(drafts, '2026-03-01', '2026-03-03');
+    expect(errors).toEqual([]);
+    expect(files.map(file => file.name)).toEqual(['2026-03-01.csv', '2026-03-03.csv', 'index.json']);
+    expect(files[0].content).toBe(buildLayoutCsv(drafts[0]));
+    expect(warnings).toEqual([
+      '2026-03-03: "Third" is not marked ready (In review).',
+      'No puzzle is scheduled for 2026-03-02.',
+    ]);
+    const manifest = JSON.parse(files[2].content);
+    expect(manifest.puzzles.map(entry => [entry.date, entry.title, entry.status])).toEqual([
+      ['2026-03-01', 'First', 'ready'],
+      ['2026-03-03', 'Third', 'review'],
+    ]);
+    expect(manifest.missingDates).toEqual(['2026-03-02']);
+  });
+
+  test('does not fail on a status it does not know', () => {
+    const { warnings } = buildPuzzleBundle([makeDraft('a', 'First', '2026-03-01', 'archived')], '2026-03-01', '2026-03-01');
+    expect(warnings).toEqual(['2026-03-01: "First" is not marked ready (archived).']);
+  });
+
+  test('refuses bad ranges, double bookings and empty ranges', () => {
+    expect(buildPuzzleBundle([], '', '2026-03-01').errors).toEqual(['Choose the first and last day of the bundle.']);
+    expect(buildPuzzleBundle([], '2026-03-02', '2026-03-01').errors).toEqual(['The first day of the bundle is after the last day.']);
+    expect(buildPuzzleBundle([], '2026-01-01', '2027-06-01').errors[0]).toMatch(/at most 366 days/);
+    expect(buildPuzzleBundle([], '2026-03-01', '2026-03-02').errors).toEqual(['No puzzles are scheduled in this date range.']);
+
+    const clash = buildPuzzleBundle([makeDraft('a', 'One', '2026-03-01'), makeDraft('b', 'Two', '2026-03-01')], '2026-03-01', '2026-03-01');
+    expect(clash.errors).toEqual(['2026-03-01 has 2 puzzles: "One", "Two".']);
+    expect(clash.files).toEqual([]);
+  });
+});
+
+describe('findCrossings', () => {
+  test('finds two paths crossing diagonally', () => {
+    let gridCells = createEmptyGrid(3, 3);
+    gridCells = placeLetters(gridCells, { id: 'a', text: 'ab', color: '#EF4444' }, [[0, 0], [1, 1]], 0);
+    gridCells = placeLetters(gridCells, { id: 'b', text: 'cd', color: '#3B82F6' }, [[0, 1], [1, 0]], 0);
+    const crossings = findCrossings(gridCells);
+    expect(crossings).toHaveLength(1);
+    expect(crossings[0].map(segment => segment.wordId).sort()).toEqual(['a', 'b']);
+  });
+
+  test('finds nothing on a board of straight rows', () => {
+    expect(findCrossings(makeReadyPuzzle().gridCells)).toEqual([]);
+  });
+});
+
+describe('evaluateReadiness', () => {
+  test('passes every item for a finished puzzle', () => {
+    const items = evaluateReadiness(makeReadyPuzzle());
+    expect(items.map(item => item.id)).toEqual(['letters', 'coverage', 'placement', 'words', 'clues', 'spangram']);
+    expect(items.filter(item => !item.passed)).toEqual([]);
+  });
+
+  test('fails the items a half-finished puzzle misses', () => {
+    const puzzle = makeReadyPuzzle();
+    const gridCells = puzzle.gridCells.map(row => [...row]);
+    gridCells[3][3] = null; // Take back the last letter of "mnop".
+    const items = evaluateReadiness({ ...puzzle, hintText: '', gridCells });
+    expect(items.filter(item => !item.passed).map(item => item.id)).toEqual(['coverage', 'placement', 'clues']);
+  });
+});
+
+describe('evaluateDifficulty', () => {
+  test('rates straight rows as easy, with a point per factor', () => {
+    const difficulty = evaluateDifficulty(makeReadyPuzzle());
+    expect(Object.fromEntries(difficulty.factors.map(factor => [factor.id, factor.score]))).toEqual({
+      turns: 0, diagonals: 0, backtracking: 0, straightWords: 0, wordLength: 0, spangram: 25, decoys: 0,
+    });
+    expect(difficulty.score).toBe(3);
+    expect(difficulty.label).toBe('Easy');
+  });
+
+  test('reads right to left under the Hebrew letter rules', () => {
+    const difficulty = evaluateDifficulty(makeReadyPuzzle('he'));
+    const scores = Object.fromEntries(difficulty.factors.map(factor => [factor.id, factor.score]));
+    expect(scores.backtracking).toBe(100);
+    expect(scores.straightWords).toBe(100);
+  });
+
+  test('counts other routes that spell a theme word', () => {
+    let gridCells = createEmptyGrid(3, 3);
+    const words = [{ id: 'a', text: 'abc', color: '#EF4444' }, { id: 'b', text: 'bde', color: '#3B82F6' }];
+    gridCells = placeLetters(gridCells, words[0], [[0, 0], [0, 1], [0, 2]], 0);
+    gridCells = placeLetters(gridCells, words[1], [[1, 1], [2, 1], [2, 2]], 0);
+    // The "b" of "bde" sits between the "a" and the "c" of "abc", which spells "abc" a second way.
+    const difficulty = evaluateDifficulty({ enteredWords: words, gridCells });
+    expect(difficulty.factors.find(factor => factor.id === 'decoys').detail).toBe('1 other route(s) on the board spell theme words.');
+  });
+
+  test('returns null while no word is fully placed', () => {
+    const puzzle = makeReadyPuzzle();
+    expect(evaluateDifficulty({ ...puzzle, gridCells: createEmptyGrid(4, 4) })).toBeNull();
+  });
+});
+
+describe('path editing', () => {
+  const word = { id: 'w', text: 'abcd', color: '#3B82F6' };
+  // "abcd" along the top row of a 3x4 board with its third letter missing.
+  const withGap = () => {
+    let gridCells = createEmptyGrid(3, 4);
+    gridCells = placeLetters(gridCells, word, [[0, 0], [0, 1]], 0);
+    return placeLetters(gridCells, word, [[0, 3]], 3);
+  };
+
+  test('lists the placed letters by index and finds the gaps between them', () => {
+    const slots = getPathSlots(withGap(), 'w', 4);
+    expect(slots.map(cell => cell && cell.letter)).toEqual(['A', 'B', null, 'D']);
+    expect(findPathGaps(slots)).toEqual([2]);
+    // Letters not placed yet at the end of the path are not gaps.
+    expect(findPathGaps([slots[0], slots[1], null, null])).toEqual([]);
+  });
+
+  test('a missing letter must go in an empty cell next to the letters around it', () => {
+    const gridCells = withGap();
+    const slots = getPathSlots(gridCells, 'w', 4);
+    expect(checkPathCell(gridCells, slots, 2, [0, 2])).toBe(null);
+    expect(checkPathCell(gridCells, slots, 2, [1, 2])).toBe(null);
+    expect(checkPathCell(gridCells, slots, 2, [0, 1])).toBe('That cell is not empty.');
+    expect(checkPathCell(gridCells, slots, 2, [2, 2])).toBe('Letter 3 must be next to letter 2.');
+    expect(checkPathCell(gridCells, slots, 2, [1, 3])).toBe('Letter 3 must be next to letter 2.');
+  });
+
+  test('a letter can move to a cell next to its neighbors, ignoring the cell it leaves', () => {
+    const gridCells = withGap();
+    const slots = getPathSlots(gridCells, 'w', 4);
+    expect(checkPathCell(gridCells, slots, 1, [1, 1])).toBe(null);
+    expect(checkPathCell(gridCells, slots, 1, [1, 2])).toBe('Letter 2 must be next to letter 1.');
+    expect(checkPathCell(gridCells, slots, 0, [1, 0])).toBe(null);
+  });
+
+  test('a letter may not cross another path diagonally', () => {
+    const other = { id: 'o', text: 'xy', color: '#EF4444' };
+    let gridCells = createEmptyGrid(3, 3);
+    gridCells = placeLetters(gridCells, other, [[0, 1], [1, 0]], 0);
+    gridCells = placeLetters(gridCells, word, [[0, 0]], 0);
+    const slots = getPathSlots(gridCells, 'w', 4);
+    expect(checkPathCell(gridCells, slots, 1, [1, 1])).toBe('Letter 2 would cross another path diagonally there.');
+  });
+});
+
+describe('generateLayouts', () => {
+  // Words of the ready puzzle with no cells placed.
+  const unplacedWords = () => makeReadyPuzzle().enteredWords;
+
+  // Checks that a layout covers every cell with connected, non-crossing paths that spell the words.
+  const expectValidLayout = (layout, enteredWords) => {
+    expect(layout.flat().every(cell => cell !== null)).toBe(true);
+    enteredWords.forEach(word => {
+      const slots = getPathSlots(layout, word.id, word.text.length);
+      expect(slots.map(cell => cell && cell.letter).join('')).toBe(word.text.toUpperCase());
+      slots.slice(1).forEach((cell, index) => {
+        expect(isNeighbor([cell.row, cell.col], [slots[index].row, slots[index].col])).toBe(true);
+      });
+    });
+    expect(findCrossings(layout)).toEqual([]);
+  };
+
+  test('fills the board with valid layouts, each one different, with the spangram edge to edge', () => {
+    const enteredWords = unplacedWords();
+    const { solutions, message } = generateLayouts(enteredWords, createEmptyGrid(4, 4), { maxSolutions: 3 });
+    expect(message).toBe('');
+    expect(solutions.length).toBeGreaterThan(1);
+    solutions.forEach(layout => {
+      expectValidLayout(layout, enteredWords);
+      const edges = getPathEdges(layout, 'w0');
+      expect((edges.top && edges.bottom) || (edges.left && edges.right)).toBe(true);
+    });
+    expect(new Set(solutions.map(layout => JSON.stringify(layout))).size).toBe(solutions.length);
+  });
+
+  test('keeps locked paths where they are', () => {
+    const { enteredWords, gridCells } = makeReadyPuzzle();
+    const words = enteredWords.map(word => (word.id === 'w2' ? { ...word, isLocked: true } : word));
+    const { solutions } = generateLayouts(words, gridCells, { maxSolutions: 2 });
+    expect(solutions.length).toBeGreaterThan(0);
+    solutions.forEach(layout => {
+      expectValidLayout(layout, words);
+      expect(layout[2]).toEqual(gridCells[2]);
+    });
+  });
+
+  test('explains why no layout can be made', () => {
+    const grid = createEmptyGrid(4, 4);
+    expect(generateLayouts([], grid).message).toMatch(/add some words/i);
+    expect(generateLayouts(unplacedWords().slice(1), grid).message).toMatch(/12 letters but 16 cells are free/);
+    expect(generateLayouts(unplacedWords().map(word => ({ ...word, isSpangram: true })), grid).message)
+      .toMatch(/more than one word is marked as the spangram/i);
+
+    const shortSpangram = [
+      { id: 's', text: 'abc', color: '#3B82F6', isSpangram: true },
+      { id: 'a', text: 'defg', color: '#3B82F6' },
+      { id: 'b', text: 'hijk', color: '#3B82F6' },
+      { id: 'c', text: 'lmnop', color: '#3B82F6' },
+    ];
+    expect(generateLayouts(shortSpangram, grid).message).toMatch(/"abc" has 3 letters, too few/);
+
+    // A path locked down the second column leaves a 4-cell area that words of 5 and 7 letters cannot fill.
+    const wall = { id: 'wall', text: 'abcd', color: '#3B82F6', isLocked: true };
+    const walled = placeLetters(grid, wall, [[0, 1], [1, 1], [2, 1], [3, 1]], 0);
+    const rest = [{ id: 'x', text: 'efghi', color: '#3B82F6' }, { id: 'y', text: 'jklmnop', color: '#3B82F6' }];
+    expect(generateLayouts([wall, ...rest], walled).message).toMatch(/no combination of the remaining words can fill/);
+  });
+
+  test('proves that a board cannot be tiled', () => {
+    // The locked path leaves (0,0) and (1,1), which a 2-letter word could only join by crossing its diagonal step.
+    const locked = { id: 'locked', text: 'abcdefg', color: '#3B82F6', isLocked: true };
+    const grid = placeLetters(createEmptyGrid(3, 3), locked, [[0, 2], [0, 1], [1, 0], [2, 0], [2, 1], [2, 2], [1, 2]], 0);
+    const { solutions, message } = generateLayouts([locked, { id: 'w', text: 'hi', color: '#3B82F6' }], grid);
+    expect(solutions).toEqual([]);
+    expect(message).toMatch(/cannot tile the board/);
+  });
+});
+
+describe('analyzeAmbiguity', () => {
+  test('confirms a unique solution', () => {
+    const { enteredWords, gridCells } = makeReadyPuzzle();
+    const report = analyzeAmbiguity(enteredWords, gridCells);
+    expect(report.solutionCount).toBe(1);
+    expect(report.words.every(word => word.intendedIndex !== -1 && word.alternateIndexes.length === 0)).toBe(true);
+  });
+
+  test('finds alternate routes and a second solution', () => {
+    // Two "abc" rows can also be read as two zigzags: (0,0) (1,1) (0,2) and (1,0) (0,1) (1,2).
+    const enteredWords = [
+      { id: 'x', text: 'abc', color: '#3B82F6' },
+      { id: 'y', text: 'abc', color: '#3B82F6' },
+      { id: 'z', text: 'def', color: '#3B82F6' },
+    ];
+    let gridCells = createEmptyGrid(3, 3);
+    enteredWords.forEach((word, row) => {
+      gridCells = placeLetters(gridCells, word, [[row, 0], [row, 1], [row, 2]], 0);
+    });
+    const report = analyzeAmbiguity(enteredWords, gridCells);
+    expect(report.solutionCount).toBe(2);
+    // The other "abc" row is intended for the other word and is not listed as an alternate.
+    const [x] = report.words;
+    expect(x.alternateIndexes.map(index => x.routes[index])).toContainEqual([[0, 0], [1, 1], [0, 2]]);
+    expect(x.alternateIndexes.map(index => x.routes[index])).not.toContainEqual([[1, 0], [1, 1], [1, 2]]);
+    expect(report.words[2].alternateIndexes).toEqual([]);
+  });
+
+  test('asks for every word to be placed first', () => {
+    const { enteredWords, gridCells } = makeReadyPuzzle();
+    const report = analyzeAmbiguity([...enteredWords, { id: 'extra', text: 'abc', color: '#3B82F6' }], gridCells);
+    expect(report.solutionCount).toBe(null);
+    expect(report.words[4].intendedIndex).toBe(-1);
+    expect(report.message).toMatch(/place every word completely/i);
+  });
+
+  test('keeps the intended route of a word with more routes than the limit', () => {
+    // Every cell holds "A", so each 4-letter word has hundreds of routes.
+    const enteredWords = [0, 1, 2, 3].map(row => ({ id: `w${row}`, text: 'aaaa', color: '#3B82F6' }));
+    let gridCells = createEmptyGrid(4, 4);
+    enteredWords.forEach((word, row) => {
+      gridCells = placeLetters(gridCells, word, [[row, 0], [row, 1], [row, 2], [row, 3]], 0);
+    });
+    expect(findWordRoutes(gridCells, 'aaaa')).toHaveLength(MAX_WORD_ROUTES);
+
+    const report = analyzeAmbiguity(enteredWords, gridCells);
+    report.words.forEach(word => {
+      expect(word.hasMoreRoutes).toBe(true);
+      expect(word.intendedIndex).not.toBe(-1);
+      expect(word.routes[word.intendedIndex]).toEqual(gridCells[Number(word.wordId.slice(1))].map(cell => [cell.row, cell.col]));
+    });
+    expect(report.solutionCount).toBe(2);
+  });
+});
+
+describe('scanBoardForWords', () => {
+  // On the ready puzzle "abfe" runs (0,0) (0,1) (1,1) (1,0) and "fab" (1,1) (0,0) (0,1).
+  test('finds dictionary words along neighboring cells, leaving out theme words and short words', () => {
+    const { enteredWords, gridCells } = makeReadyPuzzle();
+    const found = scanBoardForWords(gridCells, ['abfe', 'abcd', 'fab', 'abfz', 'aeim', 'adhm'], [], enteredWords);
+    expect(found).toEqual([
+      { text: 'ABFE', count: 1, isBlocked: false },
+      { text: 'AEIM', count: 1, isBlocked: false },
+    ]);
+  });
+
+  test('reports blocklisted words of any length first', () => {
+    const { enteredWords, gridCells } = makeReadyPuzzle();
+    const found = scanBoardForWords(gridCells, ['abfe'], ['fab', 'zap'], enteredWords);
+    expect(found).toEqual([
+      { text: 'FAB', count: 1, isBlocked: true },
+      { text: 'ABFE', count: 1, isBlocked: false },
+    ]);
+  });
+
+  test('counts each set of cells once', () => {
+    // "abba" can be read from either "a" on a board of "ab" over "ba", through the same four cells.
+    const words = [{ id: 'x', text: 'ab', color: '#3B82F6' }, { id: 'y', text: 'ba', color: '#3B82F6' }];
+    let gridCells = createEmptyGrid(3, 3);
+    gridCells = placeLetters(gridCells, words[0], [[0, 0], [0, 1]], 0);
+    gridCells = placeLetters(gridCells, words[1], [[1, 0], [1, 1]], 0);
+    expect(scanBoardForWords(gridCells, ['abba'], [], words)).toEqual([{ text: 'ABBA', count: 1, isBlocked: false }]);
+  });
+
+  test('matches final letters to their regular forms under the he-final rule', () => {
+    const word = { id: 't', text: 'מולש', color: '#3B82F6' };
+    const gridCells = placeLetters(createEmptyGrid(4, 4), word, [[0, 3], [0, 2], [0, 1], [0, 0]], 0, 'he-final');
+    expect(scanBoardForWords(gridCells, ['שלום'], [], [word], 'he-final')).toEqual([{ text: 'שלומ', count: 1, isBlocked: false }]);
+    expect(scanBoardForWords(gridCells, ['שלום'], [], [word], 'he')).toEqual([]);
+  });
+});
+
+describe('strands CLI', () => {
+  const repoRoot = path.resolve(__dirname, '..');
+  let directory;
+
+  // Helper to run the command-line tool; returns { status, stdout, stderr }.
+  const runCli = (...args) => spawnSync(process.execPath, ['--disable-warning=MODULE_TYPELESS_PACKAGE_JSON', 'scripts/strands.mjs', ...args], {
+    cwd: repoRoot,
+    encoding: 'utf-8',
+    env: { ...process.env, INIT_CWD: repoRoot },
+  });
+  const write = (name, content) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content, 'utf-8');
+    return file;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'strands-cli-'));
+  });
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('validate exits with 0 for a good layout and 1 for a broken one', () => {
+    const good = write('good.csv', buildLayoutCsv(makeReadyPuzzle()));
+    const broken = write('broken.csv', 'Theme\nHint\nabc\n0;0;0;0\n\n3;3');
+
+    const passed = runCli('validate', good);
+    expect(passed.status).toBe(0);
+    expect(passed.stdout).toContain('PASS');
+
+    const failed = runCli('validate', good, broken);
+    expect(failed.status).toBe(1);
+    expect(failed.stdout).toContain('1 failed.');
+  });
+
+  test('validate --strict also fails on the publish checklist', () => {
+    const file = write('draft.csv', buildLayoutCsv({ ...makeReadyPuzzle(), hintText: '' }));
+    expect(runCli('validate', file).status).toBe(0);
+    expect(runCli('validate', file, '--strict').status).toBe(1);
+  });
+
+  test('convert writes a project file and a link that read back as the same puzzle', () => {
+    const csv = write('layout.csv', buildLayoutCsv(makeReadyPuzzle()));
+    const json = path.join(directory, 'layout.json');
+    expect(runCli('convert', csv, json).status).toBe(0);
+    const fromJson = parseProjectJson(fs.readFileSync(json, 'utf-8'));
+    expect(fromJson.errors).toEqual([]);
+
+    const link = runCli('convert', json, '-', '--to', 'link');
+    expect(link.status).toBe(0);
+    const fromLink = decodeShareLink(link.stdout.trim());
+    expect(fromLink.errors).toEqual([]);
+    expect(describeCells(fromLink)).toEqual(describeCells(fromJson));
+  });
+
+  test('convert exits with 1 for an invalid input, without a stack trace', () => {
+    const bad = write('bad.json', projectFile({ board: { rows: 9, cols: 1 }, words: [], cells: [] }));
+    const result = runCli('convert', bad, '-', '--to', 'csv');
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('is not a valid layout');
+    expect(result.stderr).not.toMatch(/\n\s+at /);
+  });
+
+  test('bad usage exits with 2', () => {
+    expect(runCli().status).toBe(2);
+    expect(runCli('validate').status).toBe(2);
+    expect(runCli('convert', 'in.csv', 'out.xyz').status).toBe(2);
+    expect(runCli('validate', path.join(directory, 'missing.csv')).status).toBe(2);
+  });
+});